@@ -6,6 +6,8 @@ import DaysPage from './pages/DaysPage.jsx'
 import ExercisesPage from './pages/ExercisesPage.jsx'
 import ExercisePage from './pages/ExercisePage.jsx'
 import LibraryPage from './pages/LibraryPage.jsx'
+import LibraryExercisePage from './pages/LibraryExercisePage.jsx'
+import CalendarPage from './pages/CalendarPage.jsx'
 
 function App() {
   return (
@@ -15,6 +17,8 @@ function App() {
           <Routes>
             <Route path="/" element={<BlocksPage />} />
             <Route path="/library" element={<LibraryPage />} />
+            <Route path="/library/:id" element={<LibraryExercisePage />} />
+            <Route path="/calendar" element={<CalendarPage />} />
             <Route path="/blocks/:blockId" element={<WeeksPage />} />
             <Route path="/blocks/:blockId/weeks/:weekId" element={<DaysPage />} />
             <Route path="/blocks/:blockId/weeks/:weekId/days/:dayId" element={<ExercisesPage />} />
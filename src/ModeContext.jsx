@@ -2,15 +2,23 @@ import { createContext, useContext, useEffect, useState } from 'react'
 
 const ModeContext = createContext(null)
 const STORAGE_KEY = 'training-log.mode'
+const UNIT_STORAGE_KEY = 'training-log.unit'
 
 export function ModeProvider({ children }) {
   const [mode, setMode] = useState(() => localStorage.getItem(STORAGE_KEY) === 'coach' ? 'coach' : 'train')
+  // Display/entry unit for weights. Stored weights keep the unit they were
+  // entered in (see src/units.js), so switching this never rewrites data.
+  const [unit, setUnit] = useState(() => localStorage.getItem(UNIT_STORAGE_KEY) === 'lb' ? 'lb' : 'kg')
 
   useEffect(() => {
     localStorage.setItem(STORAGE_KEY, mode)
   }, [mode])
 
-  return <ModeContext.Provider value={{ mode, setMode }}>{children}</ModeContext.Provider>
+  useEffect(() => {
+    localStorage.setItem(UNIT_STORAGE_KEY, unit)
+  }, [unit])
+
+  return <ModeContext.Provider value={{ mode, setMode, unit, setUnit }}>{children}</ModeContext.Provider>
 }
 
 export function useMode() {
@@ -0,0 +1,53 @@
+import { useState } from 'react'
+import * as db from '../db.js'
+
+// Library detail view: other names for the same exercise ("RDL" for
+// "Romanian Deadlift"). Logged exercises under any alias count toward this
+// entry's history and comparisons. Tap an alias to remove it.
+export default function AliasEditor({ entry, onChange }) {
+  const [alias, setAlias] = useState('')
+  const aliases = entry.aliases ?? []
+
+  async function handleAdd(e) {
+    e.preventDefault()
+    const trimmed = alias.trim()
+    if (!trimmed) return
+    try {
+      await db.addLibraryAlias(entry.id, trimmed)
+    } catch (err) {
+      alert(err.message)
+      return
+    }
+    setAlias('')
+    onChange()
+  }
+
+  async function handleRemove(value) {
+    if (!confirm(`Remove the alias "${value}"?`)) return
+    await db.removeLibraryAlias(entry.id, value)
+    onChange()
+  }
+
+  return (
+    <div className="card progression-editor">
+      <div className="section-title">Aliases</div>
+      {aliases.length === 0 ? (
+        <div className="hint">No aliases. Add other names this exercise gets logged under.</div>
+      ) : (
+        <div className="chip-picker">
+          {aliases.map((value) => (
+            <button type="button" key={value} onClick={() => handleRemove(value)}>
+              {value} ×
+            </button>
+          ))}
+        </div>
+      )}
+      <form className="add-form" onSubmit={handleAdd}>
+        <input placeholder="Alias (e.g. RDL)" value={alias} onChange={(e) => setAlias(e.target.value)} />
+        <button className="btn" type="submit">
+          Add
+        </button>
+      </form>
+    </div>
+  )
+}
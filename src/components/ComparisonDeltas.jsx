@@ -0,0 +1,91 @@
+import { compareTopSets, formatWeight, sessionComparison, setDelta } from '../strength.js'
+import { convertWeight, displaySetWeight } from '../units.js'
+
+// Train mode: today's sets against the session picked in ComparisonPanel,
+// per set row and for the exercise as a whole (src/strength.js).
+
+function Delta({ value, format }) {
+  if (value == null) return null
+  const shown = format(Math.abs(value))
+  const sign = Number(shown) === 0 ? '±' : value > 0 ? '+' : '−'
+  const direction = Number(shown) === 0 ? '' : value > 0 ? 'up' : 'down'
+  return (
+    <span className={`delta ${direction}`}>
+      {sign}
+      {shown}
+    </span>
+  )
+}
+
+function setText(set, unit) {
+  return `${displaySetWeight(set, unit) ?? '-'} × ${set.reps ?? '-'}${set.rpe != null ? ` @ ${set.rpe}` : ''}`
+}
+
+export function SetComparison({ set, previous, label, unit }) {
+  const delta = setDelta(set, previous)
+  const weight = (kg) => formatWeight(convertWeight(kg, 'kg', unit))
+  const volume = (kg) => String(Math.round(convertWeight(kg, 'kg', unit)))
+  return (
+    <div className="set-comparison">
+      <span>
+        {label}: {setText(previous, unit)}
+      </span>
+      {delta.weight != null && (
+        <span>
+          <Delta value={delta.weight} format={weight} /> {unit}
+        </span>
+      )}
+      {delta.reps != null && (
+        <span>
+          <Delta value={delta.reps} format={String} /> {Math.abs(delta.reps) === 1 ? 'rep' : 'reps'}
+        </span>
+      )}
+      {delta.volume != null && (
+        <span>
+          <Delta value={delta.volume} format={volume} /> vol
+        </span>
+      )}
+    </div>
+  )
+}
+
+export function ComparisonSummary({ sets, previousSets, label, unit }) {
+  const summary = sessionComparison(sets, previousSets)
+  if (!summary) return null
+  const weight = (kg) => formatWeight(convertWeight(kg, 'kg', unit))
+  const volume = (kg) => String(Math.round(convertWeight(kg, 'kg', unit)))
+  const topSetDiff = compareTopSets(summary.topSet.today, summary.topSet.previous)
+  const rows = [
+    {
+      name: 'Volume',
+      text: `${volume(summary.volume.today)} vs ${volume(summary.volume.previous)} ${unit}`,
+      delta: <Delta value={summary.volume.today - summary.volume.previous} format={volume} />,
+    },
+    {
+      name: 'Top set',
+      text: `${setText(summary.topSet.today, unit)} vs ${setText(summary.topSet.previous, unit)}`,
+      delta: (
+        <span className={`delta ${topSetDiff > 0 ? 'up' : topSetDiff < 0 ? 'down' : ''}`}>
+          {topSetDiff > 0 ? 'ahead' : topSetDiff < 0 ? 'behind' : 'even'}
+        </span>
+      ),
+    },
+    {
+      name: 'e1RM',
+      text: `${weight(summary.e1rm.today)} vs ${weight(summary.e1rm.previous)} ${unit}`,
+      delta: <Delta value={summary.e1rm.today - summary.e1rm.previous} format={weight} />,
+    },
+  ]
+  return (
+    <div className="card comparison-summary">
+      <div className="section-title">Today vs {label}</div>
+      {rows.map((row) => (
+        <div className="comparison-summary-row" key={row.name}>
+          <span>{row.name}</span>
+          <span className="set-rpe">{row.text}</span>
+          {row.delta}
+        </div>
+      ))}
+    </div>
+  )
+}
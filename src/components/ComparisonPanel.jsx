@@ -1,31 +1,127 @@
 import { useEffect, useState } from 'react'
+import { useMode } from '../ModeContext.jsx'
+import { BEST_METRICS, formatWeight } from '../strength.js'
+import { convertWeight, displaySetWeight, displayWeight } from '../units.js'
+import { formatDay } from '../dates.js'
 import * as db from '../db.js'
 
-export default function ComparisonPanel({ exerciseId, refreshKey }) {
-  const [mode, setMode] = useState(null) // null | 'last' | 'best'
+const EMPTY_MESSAGES = {
+  last: 'No matching exercise found in the previous week of this block.',
+  lastTime: 'No earlier session of this exercise found.',
+}
+
+// What "Best week" ranks by, remembered per exercise name on this device
+// (like the mode and unit toggles): { metric, scope: 'block' | 'all', loadKg }.
+const BEST_STORAGE_KEY = 'training-log.best'
+const DEFAULT_BEST = { metric: 'volume', scope: 'block', loadKg: null }
+
+function loadBestSettings(normalizedName) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(BEST_STORAGE_KEY))?.[normalizedName]
+    return saved && BEST_METRICS[saved.metric] ? { ...DEFAULT_BEST, ...saved } : DEFAULT_BEST
+  } catch {
+    return DEFAULT_BEST
+  }
+}
+
+function saveBestSettings(normalizedName, settings) {
+  let all = {}
+  try {
+    all = JSON.parse(localStorage.getItem(BEST_STORAGE_KEY)) ?? {}
+  } catch {
+    // Unreadable settings are replaced.
+  }
+  localStorage.setItem(BEST_STORAGE_KEY, JSON.stringify({ ...all, [normalizedName]: settings }))
+}
+
+// Why "Best week" picked its session, e.g. "Best e1RM in this block: 142.5 kg
+// (120 × 5 @ 8)".
+function bestReason(result, loadKg, unit) {
+  const where = result.scope === 'all' ? 'across all blocks' : 'in this block'
+  const weight = (kg) => `${formatWeight(convertWeight(kg, 'kg', unit))} ${unit}`
+  const { value, set } = result.score
+  const setText = set && `${displaySetWeight(set, unit)} × ${set.reps}${set.rpe != null ? ` @ ${set.rpe}` : ''}`
+  switch (result.metric) {
+    case 'topSet':
+      return `Heaviest top set ${where}: ${weight(value)} × ${set.reps}`
+    case 'e1rm':
+      return `Best e1RM ${where}: ${weight(value)} (${setText})`
+    case 'repsAtLoad':
+      return `Most reps at ${weight(loadKg)} or more ${where}: ${value} (${setText})`
+    default:
+      return `Highest total volume ${where}: ${Math.round(convertWeight(value, 'kg', unit))} ${unit}`
+  }
+}
+
+function bestEmptyMessage({ metric, scope, loadKg }) {
+  if (metric === 'repsAtLoad' && loadKg == null) return 'Enter a load to rank sessions by reps at it.'
+  return scope === 'all'
+    ? 'No matching exercise with logged sets found in any block.'
+    : 'No matching exercise with logged sets found elsewhere in this block.'
+}
+
+// `onResult` hears about the picked session ({ mode, result }, or null when
+// the panel is closed) so the set table can show per-set deltas against it.
+export default function ComparisonPanel({ exerciseId, normalizedName, refreshKey, onResult }) {
+  const { unit } = useMode()
+  const [mode, setMode] = useState(null) // null | 'last' | 'lastTime' | 'best'
   const [result, setResult] = useState(null)
   const [loading, setLoading] = useState(false)
+  const [best, setBest] = useState(() => loadBestSettings(normalizedName))
+  const [loadText, setLoadText] = useState('')
+
+  useEffect(() => {
+    setBest(loadBestSettings(normalizedName))
+  }, [normalizedName])
 
   useEffect(() => {
-    if (!mode) return
+    setLoadText(String(displayWeight(best.loadKg, 'kg', unit) ?? ''))
+  }, [best.loadKg, unit])
+
+  useEffect(() => {
+    if (!mode) {
+      onResult?.(null)
+      return
+    }
     setLoading(true)
-    const fetcher = mode === 'last' ? db.getLastWeekComparison : db.getBestWeekComparison
-    fetcher(exerciseId).then((r) => {
+    const fetcher = {
+      last: db.getLastWeekComparison,
+      lastTime: db.getLastTimeComparison,
+      best: db.getBestWeekComparison,
+    }[mode]
+    fetcher(exerciseId, best).then((r) => {
       setResult(r)
       setLoading(false)
+      onResult?.(r && { mode, result: r })
     })
-  }, [mode, exerciseId, refreshKey])
+  }, [mode, exerciseId, refreshKey, onResult, best])
 
   function toggle(next) {
     setMode((current) => (current === next ? null : next))
   }
 
+  function updateBest(changes) {
+    const next = { ...best, ...changes }
+    saveBestSettings(normalizedName, next)
+    setBest(next)
+  }
+
+  function commitLoad(value) {
+    const number = value.trim() === '' ? null : Number(value)
+    if (Number.isNaN(number)) return
+    const loadKg = convertWeight(number, unit, 'kg')
+    if (loadKg !== best.loadKg) updateBest({ loadKg })
+  }
+
   return (
     <div className="comparison">
       <div className="comparison-toggle">
         <button className={mode === 'last' ? 'active' : ''} onClick={() => toggle('last')}>
           Last week
         </button>
+        <button className={mode === 'lastTime' ? 'active' : ''} onClick={() => toggle('lastTime')}>
+          Last time
+        </button>
         <button className={mode === 'best' ? 'active' : ''} onClick={() => toggle('best')}>
           Best week
         </button>
@@ -33,25 +129,48 @@ export default function ComparisonPanel({ exerciseId, refreshKey }) {
 
       {mode && (
         <div className="comparison-body">
+          {mode === 'best' && (
+            <div className="best-options">
+              <select value={best.metric} onChange={(e) => updateBest({ metric: e.target.value })}>
+                {Object.entries(BEST_METRICS).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <select value={best.scope} onChange={(e) => updateBest({ scope: e.target.value })}>
+                <option value="block">This block</option>
+                <option value="all">All time</option>
+              </select>
+              {best.metric === 'repsAtLoad' && (
+                <input
+                  placeholder={unit}
+                  inputMode="decimal"
+                  value={loadText}
+                  onChange={(e) => setLoadText(e.target.value)}
+                  onBlur={(e) => commitLoad(e.target.value)}
+                  aria-label="Load"
+                />
+              )}
+            </div>
+          )}
           {loading && <div className="hint">Loading…</div>}
           {!loading && !result && (
-            <div className="hint">
-              {mode === 'last'
-                ? 'No matching exercise found in the previous week of this block.'
-                : 'No matching exercise with logged sets found elsewhere in this block.'}
-            </div>
+            <div className="hint">{mode === 'best' ? bestEmptyMessage(best) : EMPTY_MESSAGES[mode]}</div>
           )}
           {!loading && result && (
             <>
+              {mode === 'best' && <div className="best-reason">{bestReason(result, best.loadKg, unit)}</div>}
               <div className="hint">
+                {(mode === 'lastTime' || (mode === 'best' && result.scope === 'all')) && `${result.block.name} · `}
                 Week {result.week.weekNumber} · {result.day.name}
-                {mode === 'best' && ` · Total volume: ${result.volume}`}
+                {result.trainedAt && ` · ${formatDay(result.trainedAt)}`}
               </div>
               {result.sets.map((set, i) => (
                 <div className="set-row" key={set.id}>
                   <span className="set-index">{i + 1}</span>
                   <span className="set-values">
-                    {set.weight} × {set.reps}
+                    {displaySetWeight(set, unit)} {unit} × {set.reps}
                     {set.rpe != null && <span className="set-rpe"> @ RPE {set.rpe}</span>}
                   </span>
                 </div>
@@ -0,0 +1,69 @@
+import { describeRule } from '../progression.js'
+import { useMode } from '../ModeContext.jsx'
+import { displayTargetWeight } from '../units.js'
+
+function targetText(t, unit) {
+  const reps =
+    t.targetRepsMin == null
+      ? null
+      : t.targetRepsMin === t.targetRepsMax
+        ? `${t.targetRepsMin}`
+        : `${t.targetRepsMin}-${t.targetRepsMax}`
+  const weight = t.targetWeight != null ? `${displayTargetWeight(t, unit)} ${unit}` : null
+  const text = [reps, weight].filter(Boolean).join(' × ')
+  return (t.targetRPE != null ? `${text} @ ${t.targetRPE}` : text) || '—'
+}
+
+// Preview of a week copy-forward (plan from db.planWeekCopy with progression
+// on): every exercise with a progression rule, and its set targets before →
+// after. Exercises without a rule are copied as-is and not listed.
+export default function CopyWeekModal({ sourceWeek, plan, onCopy, onClose }) {
+  const { unit } = useMode()
+  const ruled = plan.flatMap(({ day, exercises }) =>
+    exercises.filter((e) => e.exercise.progression).map((e) => ({ day, ...e }))
+  )
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal-card" onClick={(e) => e.stopPropagation()}>
+        <div className="section-title">Copy plan from Week {sourceWeek.weekNumber}</div>
+        <div className="hint">
+          Days, exercises and set targets are copied. These exercises have a progression rule:
+        </div>
+        <div className="modal-scroll">
+          {ruled.map(({ day, exercise, sets, targets, held }) => (
+            <div className="card" key={exercise.id}>
+              <div className="set-values">
+                {day.name} · {exercise.name}
+              </div>
+              <div className="hint">
+                {describeRule(exercise.progression)}
+                {held && ' — held: not every set was hit, targets stay the same'}
+              </div>
+              {sets.map((set, i) => (
+                <div className="set-row" key={set.id}>
+                  <span className="set-index">{i + 1}</span>
+                  <span className="set-values">
+                    <span className="set-rpe">{targetText(set, unit)} → </span>
+                    {targetText(targets[i], unit)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+        <button className="btn full" onClick={() => onCopy(true)}>
+          Copy with progression
+        </button>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button type="button" className="btn secondary full" onClick={onClose}>
+            Leave week empty
+          </button>
+          <button type="button" className="btn secondary full" onClick={() => onCopy(false)}>
+            Copy as-is
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -1,8 +1,22 @@
-import { PencilIcon, TrashIcon } from './Icons.jsx'
+import { DownloadIcon, LinkIcon, PencilIcon, TrashIcon } from './Icons.jsx'
+import ReorderButtons from './ReorderButtons.jsx'
 
-export default function EntityRow({ label, sub, badge, onOpen, onRename, onDelete }) {
+export default function EntityRow({
+  label,
+  sub,
+  badge,
+  linked,
+  onOpen,
+  onLink,
+  onExport,
+  onRename,
+  onDelete,
+  reorder,
+  onMoveUp,
+  onMoveDown,
+}) {
   return (
-    <div className="row-card">
+    <div className={`row-card ${linked ? 'linked' : ''}`}>
       <button className="row-main" onClick={onOpen}>
         {badge && <span className="badge">{badge}</span>}
         <span>
@@ -11,6 +25,21 @@ export default function EntityRow({ label, sub, badge, onOpen, onRename, onDelet
         </span>
       </button>
       <div className="row-actions">
+        {reorder && <ReorderButtons onMoveUp={onMoveUp} onMoveDown={onMoveDown} />}
+        {onLink && (
+          <button
+            className={`icon-btn ${linked ? 'active' : ''}`}
+            onClick={onLink}
+            aria-label={linked ? 'Unlink from previous' : 'Superset with previous'}
+          >
+            <LinkIcon />
+          </button>
+        )}
+        {onExport && (
+          <button className="icon-btn" onClick={onExport} aria-label="Export">
+            <DownloadIcon />
+          </button>
+        )}
         {onRename && (
           <button className="icon-btn" onClick={onRename} aria-label="Rename">
             <PencilIcon />
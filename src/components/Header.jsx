@@ -1,10 +1,11 @@
 import { useNavigate } from 'react-router-dom'
 import { useMode } from '../ModeContext.jsx'
 import { ChevronLeftIcon } from './Icons.jsx'
+import { UNITS } from '../units.js'
 
 export default function Header({ breadcrumb, title, showBack = true }) {
   const navigate = useNavigate()
-  const { mode, setMode } = useMode()
+  const { mode, setMode, unit, setUnit } = useMode()
 
   return (
     <div className="header">
@@ -26,6 +27,13 @@ export default function Header({ breadcrumb, title, showBack = true }) {
             Train
           </button>
         </div>
+        <div className="mode-toggle" role="group" aria-label="Weight unit">
+          {UNITS.map((u) => (
+            <button key={u} className={unit === u ? 'active' : ''} onClick={() => setUnit(u)}>
+              {u}
+            </button>
+          ))}
+        </div>
       </div>
     </div>
   )
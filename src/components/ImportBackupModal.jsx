@@ -0,0 +1,51 @@
+import * as db from '../db.js'
+
+const STORE_LABELS = {
+  blocks: 'blocks',
+  weeks: 'weeks',
+  days: 'days',
+  exercises: 'exercises',
+  sets: 'sets',
+  exerciseLibrary: 'library exercises',
+  templates: 'templates',
+}
+
+export default function ImportBackupModal({ backup, onImport, onClose }) {
+  const counts = db.backupCounts(backup)
+  const exportedAt = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : 'unknown date'
+
+  function handleReplace() {
+    if (!confirm('Replace everything? All blocks, weeks, days, sets, library exercises and templates on this device will be deleted first.'))
+      return
+    onImport(true)
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal-card" onClick={(e) => e.stopPropagation()}>
+        <div className="section-title">Import backup</div>
+        <div className="hint">
+          Exported {exportedAt} ·{' '}
+          {Object.entries(counts)
+            .map(([store, count]) => `${count} ${STORE_LABELS[store]}`)
+            .join(', ')}
+        </div>
+        <div className="hint">
+          <strong>Merge</strong> keeps what's on this device and adds the backup on top (records with the same id are
+          overwritten by the backup). <strong>Replace</strong> wipes this device first.
+        </div>
+        <button className="btn full" onClick={() => onImport(false)}>
+          Merge by id
+        </button>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button type="button" className="btn secondary full" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="button" className="btn secondary full danger" onClick={handleReplace}>
+            Replace everything
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,55 @@
+import { useEffect, useState } from 'react'
+import * as db from '../db.js'
+
+// Folds one library entry into another (db.mergeLibraryExercises), after
+// showing how many logged exercises and training maxes will be re-pointed.
+export default function MergeLibraryModal({ entry, onMerge, onClose }) {
+  const [others, setOthers] = useState([])
+  const [targetId, setTargetId] = useState('')
+  const [plan, setPlan] = useState(null)
+
+  useEffect(() => {
+    db.getLibraryExercises().then((entries) => setOthers(entries.filter((e) => e.id !== entry.id)))
+  }, [entry.id])
+
+  useEffect(() => {
+    if (!targetId) {
+      setPlan(null)
+      return
+    }
+    db.planLibraryMerge(entry.id, targetId).then(setPlan)
+  }, [entry.id, targetId])
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal-card" onClick={(e) => e.stopPropagation()}>
+        <div className="section-title">Merge "{entry.name}" into…</div>
+        <select value={targetId} onChange={(e) => setTargetId(e.target.value)}>
+          <option value="">Pick an exercise</option>
+          {others.map((other) => (
+            <option key={other.id} value={other.id}>
+              {other.name}
+            </option>
+          ))}
+        </select>
+        {plan && (
+          <div className="hint">
+            {plan.exercises} logged {plan.exercises === 1 ? 'exercise' : 'exercises'} renamed from "{plan.source.name}" to
+            "{plan.target.name}"
+            {plan.trainingMaxes > 0 &&
+              `, ${plan.trainingMaxes} ${plan.trainingMaxes === 1 ? 'block training max' : 'block training maxes'} moved (unless "${plan.target.name}" already has one there)`}
+            . Muscle tags are combined, "{plan.source.name}" becomes an alias and its library entry is removed.
+          </div>
+        )}
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button type="button" className="btn secondary full" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="button" className="btn full" disabled={!plan} onClick={() => onMerge(plan.target)}>
+            Merge
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,43 @@
+import { useEffect, useState } from 'react'
+import { MUSCLE_GROUPS } from '../muscles.js'
+import * as db from '../db.js'
+
+function formatSets(value) {
+  return String(Math.round(value * 10) / 10)
+}
+
+// Hard sets per muscle group in one week, planned vs completed, so the coach
+// can check each muscle gets its intended volume. Tags come from the
+// exercise library (src/muscles.js).
+export default function MuscleReport({ weekId, refreshKey }) {
+  const [report, setReport] = useState(null)
+
+  useEffect(() => {
+    db.getWeekMuscleReport(weekId).then(setReport)
+  }, [weekId, refreshKey])
+
+  if (!report || (report.rows.length === 0 && report.untagged.length === 0)) return null
+
+  const most = Math.max(1, ...report.rows.map((r) => r.planned))
+
+  return (
+    <div className="card muscle-report">
+      <div className="section-title">Hard sets per muscle</div>
+      {report.rows.length === 0 && <div className="hint">Tag exercises with muscles in the library to see this.</div>}
+      {report.rows.map((row) => (
+        <div className="muscle-row" key={row.muscle}>
+          <span>{MUSCLE_GROUPS[row.muscle] ?? row.muscle}</span>
+          <span className="muscle-bar">
+            <span className="muscle-bar-planned" style={{ width: `${(row.planned / most) * 100}%` }} />
+            <span className="muscle-bar-completed" style={{ width: `${(row.completed / most) * 100}%` }} />
+          </span>
+          <span className="set-rpe">
+            {formatSets(row.completed)} / {formatSets(row.planned)}
+          </span>
+        </div>
+      ))}
+      {report.rows.length > 0 && <div className="hint">Completed / planned. Warm-ups don't count; secondary muscles count half.</div>}
+      {report.untagged.length > 0 && <div className="hint">Not tagged in the library: {report.untagged.join(', ')}</div>}
+    </div>
+  )
+}
@@ -0,0 +1,61 @@
+import { EQUIPMENT, MUSCLE_GROUPS } from '../muscles.js'
+import * as db from '../db.js'
+
+function ChipPicker({ selected, onToggle }) {
+  return (
+    <div className="chip-picker">
+      {Object.entries(MUSCLE_GROUPS).map(([key, label]) => (
+        <button type="button" key={key} className={selected.includes(key) ? 'active' : ''} onClick={() => onToggle(key)}>
+          {label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+// Library detail view: the muscle groups and equipment of an entry, used by
+// the weekly sets-per-muscle report (src/muscles.js). Saves on every tap.
+export default function MuscleTagsEditor({ entry, onChange }) {
+  const primary = entry.primaryMuscles ?? []
+  const secondary = entry.secondaryMuscles ?? []
+
+  async function save(tags) {
+    await db.updateLibraryTags(entry.id, tags)
+    onChange()
+  }
+
+  // A muscle is either primary or secondary, never both.
+  function togglePrimary(muscle) {
+    save(
+      primary.includes(muscle)
+        ? { primaryMuscles: primary.filter((m) => m !== muscle) }
+        : { primaryMuscles: [...primary, muscle], secondaryMuscles: secondary.filter((m) => m !== muscle) }
+    )
+  }
+
+  function toggleSecondary(muscle) {
+    save(
+      secondary.includes(muscle)
+        ? { secondaryMuscles: secondary.filter((m) => m !== muscle) }
+        : { secondaryMuscles: [...secondary, muscle], primaryMuscles: primary.filter((m) => m !== muscle) }
+    )
+  }
+
+  return (
+    <div className="card progression-editor">
+      <div className="section-title">Muscles & equipment</div>
+      <div className="hint">Primary muscles</div>
+      <ChipPicker selected={primary} onToggle={togglePrimary} />
+      <div className="hint">Secondary muscles (count as half a set)</div>
+      <ChipPicker selected={secondary} onToggle={toggleSecondary} />
+      <select value={entry.equipment ?? ''} onChange={(e) => save({ equipment: e.target.value || null })}>
+        <option value="">No equipment set</option>
+        {Object.entries(EQUIPMENT).map(([key, label]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </div>
+  )
+}
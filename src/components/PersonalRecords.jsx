@@ -0,0 +1,46 @@
+import { formatWeight, personalRecords } from '../strength.js'
+import { useMode } from '../ModeContext.jsx'
+import { convertWeight, displaySetWeight } from '../units.js'
+
+// All-time records for one exercise name, from the sessions returned by
+// db.getExerciseHistory (so every block counts, not just the current one).
+export default function PersonalRecords({ sessions }) {
+  const { unit } = useMode()
+  const sessionBySetId = new Map()
+  for (const session of sessions) for (const set of session.sets) sessionBySetId.set(set.id, session)
+  const { repMaxes, bestE1rm } = personalRecords(sessions.flatMap((s) => s.sets))
+
+  function where(set) {
+    const session = sessionBySetId.get(set.id)
+    return `${session.block.name} · Week ${session.week.weekNumber}`
+  }
+
+  if (!bestE1rm) return null
+
+  return (
+    <div className="card">
+      <div className="section-title">Personal records</div>
+      <div className="set-row">
+        <span className="set-values">
+          Best e1RM {formatWeight(convertWeight(bestE1rm.value, 'kg', unit))} {unit}
+          <span className="set-rpe">
+            {' '}
+            ({displaySetWeight(bestE1rm.set, unit)} × {bestE1rm.set.reps}
+            {bestE1rm.set.rpe != null && ` @ RPE ${bestE1rm.set.rpe}`})
+          </span>
+        </span>
+        <span className="set-rpe">{where(bestE1rm.set)}</span>
+      </div>
+      {[...repMaxes.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([reps, set]) => (
+          <div className="set-row" key={reps}>
+            <span className="set-values">
+              {reps} {reps === 1 ? 'rep' : 'reps'} · {displaySetWeight(set, unit)} {unit}
+            </span>
+            <span className="set-rpe">{where(set)}</span>
+          </div>
+        ))}
+    </div>
+  )
+}
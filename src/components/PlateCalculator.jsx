@@ -0,0 +1,52 @@
+import { plateLoad } from '../plates.js'
+import { convertWeight, displayWeight } from '../units.js'
+
+// Train mode: the plates per side for the load in the tapped set's Load cell
+// (or its target before anything is logged). `weight` is in the display
+// unit; the loading is worked out in the plate inventory's own unit. When
+// the load can't be built exactly, offers the closest one that can.
+export default function PlateCalculator({ weight, unit, settings, onUse, onSettings, onClose }) {
+  const { total, perSide, exact } = plateLoad(convertWeight(weight, unit, settings.unit), settings)
+
+  return (
+    <div className="plate-calculator">
+      <div className="plate-calculator-head">
+        <span className="hint">
+          Bar {settings.bar} {settings.unit}
+        </span>
+        <span style={{ display: 'flex', gap: 8 }}>
+          <button className="btn secondary" onClick={onSettings}>
+            Bar & plates
+          </button>
+          <button className="btn secondary" onClick={onClose}>
+            Hide
+          </button>
+        </span>
+      </div>
+      <div className="plate-stack">
+        {perSide.length === 0 ? (
+          <span className="hint">Empty bar</span>
+        ) : (
+          <>
+            <span className="hint">Each side</span>
+            {perSide.map((plate, i) => (
+              <span className="plate-chip" key={i}>
+                {plate}
+              </span>
+            ))}
+          </>
+        )}
+      </div>
+      {!exact && (
+        <div className="load-suggestion">
+          <span>
+            Closest loadable: {displayWeight(total, settings.unit, unit)} {unit}
+          </span>
+          <button className="btn secondary" onClick={() => onUse(total, settings.unit)}>
+            Use
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,115 @@
+import { useState } from 'react'
+import { DEFAULT_PLATE_SETTINGS } from '../plates.js'
+import { UNITS } from '../units.js'
+import { TrashIcon } from './Icons.jsx'
+
+function toDraft(settings) {
+  return {
+    unit: settings.unit,
+    bar: String(settings.bar),
+    plates: settings.plates.map((p) => ({ weight: String(p.weight), pairs: String(p.pairs) })),
+  }
+}
+
+// Bar weight and plate inventory for the plate calculator (src/plates.js).
+// Rows with no weight are dropped on save; bad numbers block saving.
+export default function PlateSettingsModal({ settings, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => toDraft(settings))
+
+  function setPlate(index, key, value) {
+    setDraft((prev) => ({
+      ...prev,
+      plates: prev.plates.map((p, i) => (i === index ? { ...p, [key]: value } : p)),
+    }))
+  }
+
+  function submit(e) {
+    e.preventDefault()
+    const bar = Number(draft.bar)
+    const plates = draft.plates
+      .filter((p) => p.weight.trim() !== '')
+      .map((p) => ({ weight: Number(p.weight), pairs: p.pairs.trim() === '' ? 0 : Number(p.pairs) }))
+    if (draft.bar.trim() === '' || !(bar >= 0)) {
+      alert('Bar weight must be a number.')
+      return
+    }
+    if (plates.some((p) => !(p.weight > 0) || !Number.isInteger(p.pairs) || p.pairs < 0)) {
+      alert('Plate weights must be positive and pairs whole numbers.')
+      return
+    }
+    onSave({ unit: draft.unit, bar, plates })
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <form className="modal-card" onClick={(e) => e.stopPropagation()} onSubmit={submit}>
+        <div className="section-title">Bar & plates</div>
+        <div className="progression-fields">
+          <label className="set-cell">
+            <span className="hint">Bar</span>
+            <input
+              inputMode="decimal"
+              value={draft.bar}
+              onChange={(e) => setDraft({ ...draft, bar: e.target.value })}
+            />
+          </label>
+          <label className="set-cell">
+            <span className="hint">Unit</span>
+            <select value={draft.unit} onChange={(e) => setDraft({ ...draft, unit: e.target.value })}>
+              {UNITS.map((u) => (
+                <option key={u} value={u}>
+                  {u}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <div className="modal-scroll">
+          <div className="plate-inventory-row hint">
+            <span>Plate ({draft.unit})</span>
+            <span>Pairs</span>
+            <span></span>
+          </div>
+          {draft.plates.map((plate, i) => (
+            <div className="plate-inventory-row" key={i}>
+              <input inputMode="decimal" value={plate.weight} onChange={(e) => setPlate(i, 'weight', e.target.value)} />
+              <input inputMode="numeric" value={plate.pairs} onChange={(e) => setPlate(i, 'pairs', e.target.value)} />
+              <button
+                type="button"
+                className="icon-btn danger"
+                onClick={() => setDraft({ ...draft, plates: draft.plates.filter((_, j) => j !== i) })}
+                aria-label="Remove plate"
+              >
+                <TrashIcon />
+              </button>
+            </div>
+          ))}
+        </div>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button
+            type="button"
+            className="btn secondary full"
+            onClick={() => setDraft({ ...draft, plates: [...draft.plates, { weight: '', pairs: '1' }] })}
+          >
+            Add plate
+          </button>
+          <button
+            type="button"
+            className="btn secondary full"
+            onClick={() => setDraft(toDraft(DEFAULT_PLATE_SETTINGS[draft.unit]))}
+          >
+            Defaults ({draft.unit})
+          </button>
+        </div>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button type="button" className="btn secondary full" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="submit" className="btn full">
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
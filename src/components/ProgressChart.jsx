@@ -0,0 +1,68 @@
+import { formatDay } from '../dates.js'
+
+const WIDTH = 320
+const HEIGHT = 150
+const PAD = { left: 40, right: 12, top: 12, bottom: 24 }
+
+function pointLabel(point) {
+  return point.date ? formatDay(point.date) : `Week ${point.week.weekNumber}`
+}
+
+// A small line chart drawn as plain SVG (no charting library, so it works
+// offline). `points` come from weeklyProgress; `value` picks the number to
+// plot (null skips the point) and `format` renders it. Tapping a point calls
+// onSelect with it.
+export default function ProgressChart({ title, points, value, format, onSelect }) {
+  const plotted = points.map((point, i) => ({ point, i, y: value(point) })).filter((p) => p.y != null)
+  if (plotted.length === 0) return null
+
+  const ys = plotted.map((p) => p.y)
+  let min = Math.min(...ys)
+  let max = Math.max(...ys)
+  if (min === max) {
+    min -= 1
+    max += 1
+  }
+  const innerWidth = WIDTH - PAD.left - PAD.right
+  const innerHeight = HEIGHT - PAD.top - PAD.bottom
+  const x = (i) => PAD.left + (points.length === 1 ? innerWidth / 2 : (i / (points.length - 1)) * innerWidth)
+  const y = (v) => PAD.top + (1 - (v - min) / (max - min)) * innerHeight
+  const first = plotted[0]
+  const last = plotted[plotted.length - 1]
+
+  return (
+    <div className="card chart">
+      <div className="chart-head">
+        <span className="section-title">{title}</span>
+        <span className="set-values">{format(last.y)}</span>
+      </div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="chart-svg" role="img" aria-label={title}>
+        <line className="chart-axis" x1={PAD.left} x2={WIDTH - PAD.right} y1={y(min)} y2={y(min)} />
+        <text className="chart-label" x={PAD.left - 6} y={y(max) + 4} textAnchor="end">
+          {format(max)}
+        </text>
+        <text className="chart-label" x={PAD.left - 6} y={y(min) + 4} textAnchor="end">
+          {format(min)}
+        </text>
+        <polyline className="chart-line" points={plotted.map((p) => `${x(p.i)},${y(p.y)}`).join(' ')} />
+        {plotted.map((p) => (
+          <g key={p.point.week.id} className="chart-point" onClick={() => onSelect(p.point)}>
+            <title>
+              {p.point.block.name} · Week {p.point.week.weekNumber}: {format(p.y)}
+            </title>
+            <circle cx={x(p.i)} cy={y(p.y)} r="12" className="chart-hit" />
+            <circle cx={x(p.i)} cy={y(p.y)} r="4.5" />
+          </g>
+        ))}
+        <text className="chart-label" x={x(first.i)} y={HEIGHT - 6} textAnchor={plotted.length === 1 ? 'middle' : 'start'}>
+          {pointLabel(first.point)}
+        </text>
+        {plotted.length > 1 && (
+          <text className="chart-label" x={x(last.i)} y={HEIGHT - 6} textAnchor="end">
+            {pointLabel(last.point)}
+          </text>
+        )}
+      </svg>
+    </div>
+  )
+}
@@ -0,0 +1,89 @@
+import { useEffect, useState } from 'react'
+import { PROGRESSION_TYPES, defaultRule, describeRule } from '../progression.js'
+import { useMode } from '../ModeContext.jsx'
+import * as db from '../db.js'
+
+const NUMBER_FIELDS = {
+  weight: [['weightStep', (unit) => `${unit} per week`]],
+  reps: [
+    ['repsFrom', 'From reps'],
+    ['repsTo', 'To reps'],
+    ['weightStep', (unit) => `Then add ${unit}`],
+  ],
+  rpe: [
+    ['rpeStep', 'RPE per week'],
+    ['rpeMax', 'Up to RPE'],
+  ],
+}
+
+// Coach mode: pick the rule applied to this exercise's targets when its
+// week is copied forward (see src/progression.js).
+export default function ProgressionEditor({ exercise, onChange }) {
+  const { unit } = useMode()
+  const [rule, setRule] = useState(exercise.progression ?? null)
+
+  useEffect(() => {
+    setRule(exercise.progression ?? null)
+  }, [exercise])
+
+  async function save(next) {
+    setRule(next)
+    await db.updateExerciseProgression(exercise.id, next)
+    onChange()
+  }
+
+  function setNumber(key, raw) {
+    setRule((prev) => ({ ...prev, [key]: raw }))
+  }
+
+  function commitNumber(key, raw) {
+    const value = Number(raw)
+    if (raw === '' || Number.isNaN(value)) {
+      setRule(exercise.progression)
+      return
+    }
+    save({ ...rule, [key]: value })
+  }
+
+  return (
+    <div className="card progression-editor">
+      <div className="section-title">Progression when copied forward</div>
+      <select value={rule?.type ?? ''} onChange={(e) => save(defaultRule(e.target.value, unit))}>
+        <option value="">None — copy targets as-is</option>
+        {Object.entries(PROGRESSION_TYPES).map(([type, label]) => (
+          <option key={type} value={type}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {rule && (
+        <>
+          <div className="progression-fields">
+            {NUMBER_FIELDS[rule.type].map(([key, label]) => (
+              <label className="set-cell" key={key}>
+                <span className="hint">{typeof label === 'function' ? label(rule.unit ?? 'kg') : label}</span>
+                <input
+                  inputMode="decimal"
+                  value={rule[key]}
+                  onChange={(e) => setNumber(key, e.target.value)}
+                  onBlur={(e) => commitNumber(key, e.target.value)}
+                />
+              </label>
+            ))}
+          </div>
+          {rule.type !== 'rpe' && (
+            <label className="checkbox-row">
+              <input
+                type="checkbox"
+                checked={rule.requireAllHit}
+                onChange={(e) => save({ ...rule, requireAllHit: e.target.checked })}
+              />
+              Only if every set hit its top reps at or below its target RPE
+            </label>
+          )}
+          <div className="hint">{describeRule(exercise.progression)}</div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,16 @@
+import { ChevronDownIcon, ChevronUpIcon } from './Icons.jsx'
+
+// Stacked up/down pair for manually ordered lists; pass null for a direction
+// that isn't possible (first/last item) to disable it.
+export default function ReorderButtons({ onMoveUp, onMoveDown }) {
+  return (
+    <div className="reorder">
+      <button onClick={onMoveUp ?? undefined} disabled={!onMoveUp} aria-label="Move up">
+        <ChevronUpIcon />
+      </button>
+      <button onClick={onMoveDown ?? undefined} disabled={!onMoveDown} aria-label="Move down">
+        <ChevronDownIcon />
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,67 @@
+import { useState } from 'react'
+import { WEEKDAY_LABELS, weekdayOf } from '../schedule.js'
+import { localDate } from '../dates.js'
+
+// Monday first, the way a training week reads.
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0]
+
+// Maps a block's days onto the calendar (src/schedule.js): the date Week 1
+// starts and the weekdays its days fall on, in day order.
+export default function ScheduleModal({ block, onSave, onClear, onClose }) {
+  const [startDate, setStartDate] = useState(block.schedule?.startDate ?? localDate())
+  const [weekdays, setWeekdays] = useState(block.schedule?.weekdays ?? [1, 3, 5])
+  const shifted = (block.schedule?.shifts ?? []).reduce((sum, s) => sum + s.days, 0)
+
+  function toggle(weekday) {
+    setWeekdays((prev) => (prev.includes(weekday) ? prev.filter((w) => w !== weekday) : [...prev, weekday]))
+  }
+
+  function submit(e) {
+    e.preventDefault()
+    if (!startDate || weekdays.length === 0) return
+    onSave({ startDate, weekdays })
+  }
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <form className="modal-card" onClick={(e) => e.stopPropagation()} onSubmit={submit}>
+        <div className="section-title">Schedule {block.name}</div>
+        <label className="set-cell">
+          <span className="hint">Week 1 starts ({startDate ? WEEKDAY_LABELS[weekdayOf(startDate)] : '-'})</span>
+          <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+        </label>
+        <div className="hint">Training days, in day order:</div>
+        <div className="weekday-picker">
+          {WEEKDAY_ORDER.map((weekday) => (
+            <button
+              type="button"
+              key={weekday}
+              className={weekdays.includes(weekday) ? 'active' : ''}
+              onClick={() => toggle(weekday)}
+            >
+              {WEEKDAY_LABELS[weekday]}
+            </button>
+          ))}
+        </div>
+        <div className="hint">
+          Each week's first day goes on the first picked weekday from the week's start, the second on the next, and so
+          on. Days beyond the picked weekdays stay unscheduled.
+          {shifted > 0 && ` Saving replaces the current schedule, dropping ${shifted} days of shifts.`}
+        </div>
+        {block.schedule && (
+          <button type="button" className="btn secondary full danger" onClick={onClear}>
+            Remove schedule
+          </button>
+        )}
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button type="button" className="btn secondary full" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="submit" className="btn full" disabled={!startDate || weekdays.length === 0}>
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,73 @@
+import { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { daysBetween, todaySessions } from '../schedule.js'
+import { formatDay, localDate } from '../dates.js'
+import { ArrowRightIcon } from './Icons.jsx'
+import * as db from '../db.js'
+
+function dayPath({ block, week, day }) {
+  return `/blocks/${block.id}/weeks/${week.id}/days/${day.id}`
+}
+
+// Home screen: a shortcut to the session scheduled for today (or the next
+// unfinished one), and a way to push the plan back past missed sessions.
+// Only shown once a block has a schedule.
+export default function TodayCard() {
+  const navigate = useNavigate()
+  const [sessions, setSessions] = useState(null)
+
+  async function load() {
+    setSessions(await db.getCalendarSessions())
+  }
+
+  useEffect(() => {
+    load()
+  }, [])
+
+  if (!sessions || !sessions.some((s) => s.date)) return null
+
+  const today = localDate()
+  const { current, next, missed } = todaySessions(sessions, today)
+  const shown = current ?? next
+  // The first missed session of each block: shifting from there moves it to
+  // today and everything after it by the same amount.
+  const firstMissed = missed.filter((s, i) => missed.findIndex((o) => o.block.id === s.block.id) === i)
+
+  async function handleShift(session) {
+    const days = daysBetween(session.date, today)
+    if (!confirm(`Move ${session.day.name} to today and push the rest of ${session.block.name} back ${days} ${days === 1 ? 'day' : 'days'}?`))
+      return
+    await db.shiftBlockSchedule(session.block.id, session.planned, days)
+    load()
+  }
+
+  return (
+    <div className="card today-card">
+      <div className="section-title">{current ? 'Today' : 'Next session'}</div>
+      {shown ? (
+        <button className="today-session" onClick={() => navigate(dayPath(shown))}>
+          <span className="today-session-text">
+            <span className="next-exercise-name">{shown.day.name}</span>
+            <span className="hint">
+              {shown.block.name} · Week {shown.week.weekNumber}
+              {!current && ` · ${formatDay(shown.date)}`}
+            </span>
+          </span>
+          <ArrowRightIcon />
+        </button>
+      ) : (
+        <div className="hint">Nothing scheduled from today on.</div>
+      )}
+      {firstMissed.map((session) => (
+        <div className="load-suggestion missed-session" key={session.day.id}>
+          <span>
+            Missed {session.day.name} ({formatDay(session.date)}, {session.block.name})
+          </span>
+          <button className="btn secondary" onClick={() => handleShift(session)}>
+            Shift plan
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
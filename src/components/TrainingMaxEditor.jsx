@@ -0,0 +1,87 @@
+import { useEffect, useState } from 'react'
+import { useMode } from '../ModeContext.jsx'
+import { UNITS, convertWeight, displayWeight } from '../units.js'
+import * as db from '../db.js'
+
+// Coach mode: this exercise's training max for the current block, plus the
+// block-wide rounding increment used for percentage sets ("75%" in the
+// weight column). The training max is stored in kg and edited in the display
+// unit; the increment keeps its own unit (2.5 kg and 5 lb gyms both exist).
+export default function TrainingMaxEditor({ block, exercise, onChange }) {
+  const { unit } = useMode()
+  const storedMax = block.trainingMaxes?.[exercise.normalizedName] ?? null
+  const savedMax = storedMax == null ? '' : displayWeight(storedMax, 'kg', unit)
+  const savedIncrement = block.loadIncrement ?? db.DEFAULT_LOAD_INCREMENT
+  const incrementUnit = block.loadIncrementUnit ?? 'kg'
+  const [trainingMax, setTrainingMax] = useState(String(savedMax))
+  const [increment, setIncrement] = useState(String(savedIncrement))
+
+  useEffect(() => {
+    setTrainingMax(String(savedMax))
+    setIncrement(String(savedIncrement))
+  }, [savedMax, savedIncrement])
+
+  async function commitTrainingMax(raw) {
+    const value = raw.trim() === '' ? null : Number(raw)
+    if (Number.isNaN(value)) {
+      setTrainingMax(String(savedMax))
+      return
+    }
+    if (value === (savedMax === '' ? null : savedMax)) return
+    await db.updateTrainingMax(block.id, exercise.normalizedName, convertWeight(value, unit, 'kg'))
+    onChange()
+  }
+
+  async function commitIncrement(raw, nextUnit = incrementUnit) {
+    const value = Number(raw)
+    if (!(value > 0) || (value === savedIncrement && nextUnit === incrementUnit)) {
+      setIncrement(String(savedIncrement))
+      return
+    }
+    await db.updateLoadIncrement(block.id, value, nextUnit)
+    onChange()
+  }
+
+  return (
+    <div className="card training-max">
+      <div className="section-title">Training max ({block.name})</div>
+      <div className="progression-fields">
+        <label className="set-cell">
+          <span className="hint">
+            {exercise.name} TM ({unit})
+          </span>
+          <input
+            inputMode="decimal"
+            placeholder="-"
+            value={trainingMax}
+            onChange={(e) => setTrainingMax(e.target.value)}
+            onBlur={(e) => commitTrainingMax(e.target.value)}
+          />
+        </label>
+        <label className="set-cell">
+          <span className="hint">Round to</span>
+          <input
+            inputMode="decimal"
+            value={increment}
+            onChange={(e) => setIncrement(e.target.value)}
+            onBlur={(e) => commitIncrement(e.target.value)}
+          />
+        </label>
+        <label className="set-cell">
+          <span className="hint">Unit</span>
+          <select value={incrementUnit} onChange={(e) => commitIncrement(increment, e.target.value)}>
+            {UNITS.map((u) => (
+              <option key={u} value={u}>
+                {u}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className="hint">
+        Type a percentage like "75%" in a set's weight to prescribe it from the training max. Changing the training max
+        updates every percentage set of this exercise in the block that isn't completed yet.
+      </div>
+    </div>
+  )
+}
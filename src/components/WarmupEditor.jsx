@@ -0,0 +1,29 @@
+import { WARMUP_SCHEMES } from '../warmups.js'
+
+// Coach mode: pick a warm-up scheme to generate warm-up sets ramping up to
+// the first working set's target (src/warmups.js). The page regenerates the
+// ramp whenever that target changes.
+export default function WarmupEditor({ exercise, onChange }) {
+  const scheme = exercise.warmup?.scheme ?? ''
+
+  return (
+    <div className="card progression-editor">
+      <div className="section-title">Warm-up ramp</div>
+      <select value={scheme} onChange={(e) => onChange(e.target.value || null)}>
+        <option value="">None — no generated warm-ups</option>
+        {Object.entries(WARMUP_SCHEMES).map(([key, { label }]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {scheme && (
+        <div className="hint">
+          {exercise.warmup.basis == null
+            ? 'Give the first working set a target weight to build the ramp.'
+            : "Warm-ups are rounded to loads your plates can build and rebuilt when the first working set's target changes, until one of them is done."}
+        </div>
+      )}
+    </div>
+  )
+}
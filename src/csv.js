@@ -0,0 +1,16 @@
+// Minimal RFC 4180 CSV writer: every value is stringified, and quoted only if
+// it contains a comma, quote or newline. null/undefined become empty cells.
+// Text that a spreadsheet would read as a formula (a name starting with =, +,
+// -, @, tab or CR) gets a leading ' so it opens as plain text; numbers are
+// left alone.
+function csvCell(value) {
+  if (value == null) return ''
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function toCsv(columns, rows) {
+  const lines = [columns.map(csvCell).join(',')]
+  for (const row of rows) lines.push(columns.map((column) => csvCell(row[column])).join(','))
+  return lines.join('\r\n') + '\r\n'
+}
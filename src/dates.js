@@ -0,0 +1,37 @@
+// Session dates and times for display. Timestamps are stored as ISO strings
+// (UTC) and calendar days as local YYYY-MM-DD; these format both in the
+// device's local time.
+
+const pad = (n) => String(n).padStart(2, '0')
+
+// A bare YYYY-MM-DD is a local calendar day (new Date() would read it as UTC
+// midnight, the day before in the Americas).
+export function toDate(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number)
+    return new Date(year, month - 1, day)
+  }
+  return new Date(value)
+}
+
+// YYYY-MM-DD in local time — a calendar day, for exports and file names.
+export function localDate(value = new Date()) {
+  const date = toDate(value)
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+// "Mon, 19 Oct" style, in the browser's locale.
+export function formatDay(value) {
+  return toDate(value).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })
+}
+
+export function formatTime(value) {
+  return new Date(value).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })
+}
+
+// Whole minutes between two ISO timestamps, as "45 min" or "1 h 05 min".
+export function formatDuration(start, end) {
+  const minutes = Math.max(0, Math.round((new Date(end) - new Date(start)) / 60000))
+  if (minutes < 60) return `${minutes} min`
+  return `${Math.floor(minutes / 60)} h ${pad(minutes % 60)} min`
+}
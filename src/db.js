@@ -1,7 +1,15 @@
 import { openDB } from 'idb'
+import { SET_TYPES, bestMetric, compareBestMetric, isWarmup, roundToIncrement } from './strength.js'
+import { UNITS, convertWeight, displaySetWeight, displayTargetWeight } from './units.js'
+import { PROGRESSION_TYPES, applyProgression } from './progression.js'
+import { WARMUP_SCHEMES } from './warmups.js'
+import { exerciseBadges, exerciseGroups } from './grouping.js'
+import { localDate } from './dates.js'
+import { plannedDate, scheduledDate } from './schedule.js'
+import { weeklyMuscleSets } from './muscles.js'
 
 const DB_NAME = 'training-log'
-const DB_VERSION = 2
+const DB_VERSION = 5
 
 function normalizeName(name) {
   return name.trim().toLowerCase()
@@ -11,8 +19,67 @@ function newId() {
   return crypto.randomUUID()
 }
 
+// --- Manual ordering ---
+//
+// Days, exercises and sets each carry an explicit `order` (0, 1, 2, … within
+// their parent) so the coach can rearrange them; createdAt only breaks ties
+// for records that somehow lack one. The version 4 upgrade and backup import
+// both backfill `order` from createdAt for records written before it existed.
+
+const ORDERED_STORES = { days: 'weekId', exercises: 'dayId', sets: 'exerciseId' }
+
+function byOrder(a, b) {
+  return (a.order ?? Infinity) - (b.order ?? Infinity) || a.createdAt.localeCompare(b.createdAt)
+}
+
+// Returns the records that needed an order assigned (mutated in place).
+function backfillOrder(records, parentKey) {
+  const byParent = new Map()
+  for (const record of records) {
+    const siblings = byParent.get(record[parentKey]) ?? []
+    siblings.push(record)
+    byParent.set(record[parentKey], siblings)
+  }
+  const changed = []
+  for (const siblings of byParent.values()) {
+    if (siblings.every((r) => r.order != null)) continue
+    siblings.sort(byOrder).forEach((record, i) => {
+      record.order = i
+      changed.push(record)
+    })
+  }
+  return changed
+}
+
+// --- Denormalized block/week ids ---
+//
+// Exercises and sets also carry the `blockId` and `weekId` of the week
+// they're in, so history, comparisons and the muscle report find them with
+// an indexed read instead of walking block → weeks → days → exercises →
+// sets. Nothing moves between weeks, so they're set once on creation; the
+// version 5 upgrade and backup import backfill them for older records.
+
+// Returns the exercises and sets whose ids were missing or stale (mutated in
+// place). Orphans get null, which leaves them out of the indexes.
+function backfillAncestors({ weeks, days, exercises, sets }) {
+  const weeksById = new Map(weeks.map((w) => [w.id, w]))
+  const daysById = new Map(days.map((d) => [d.id, d]))
+  const exercisesById = new Map(exercises.map((e) => [e.id, e]))
+  const changed = { exercises: [], sets: [] }
+  const assign = (store, record, weekId = null) => {
+    const blockId = weeksById.get(weekId)?.blockId ?? null
+    if (record.weekId === weekId && record.blockId === blockId) return
+    record.weekId = weekId
+    record.blockId = blockId
+    changed[store].push(record)
+  }
+  for (const exercise of exercises) assign('exercises', exercise, daysById.get(exercise.dayId)?.weekId)
+  for (const set of sets) assign('sets', set, exercisesById.get(set.exerciseId)?.weekId)
+  return changed
+}
+
 const dbPromise = openDB(DB_NAME, DB_VERSION, {
-  upgrade(db, oldVersion) {
+  async upgrade(db, oldVersion, newVersion, transaction) {
     if (oldVersion < 1) {
       db.createObjectStore('blocks', { keyPath: 'id' })
 
@@ -33,9 +100,89 @@ const dbPromise = openDB(DB_NAME, DB_VERSION, {
       const library = db.createObjectStore('exerciseLibrary', { keyPath: 'id' })
       library.createIndex('normalizedName', 'normalizedName')
     }
+    if (oldVersion < 3) {
+      db.createObjectStore('templates', { keyPath: 'id' })
+    }
+    if (oldVersion < 4) {
+      for (const [store, parentKey] of Object.entries(ORDERED_STORES)) {
+        const objectStore = transaction.objectStore(store)
+        const changed = backfillOrder(await objectStore.getAll(), parentKey)
+        await Promise.all(changed.map((record) => objectStore.put(record)))
+      }
+    }
+    if (oldVersion < 5) {
+      const exercises = transaction.objectStore('exercises')
+      exercises.createIndex('weekId', 'weekId')
+      exercises.createIndex('normalizedName_blockId', ['normalizedName', 'blockId'])
+      const sets = transaction.objectStore('sets')
+      sets.createIndex('weekId', 'weekId')
+      const records = {}
+      for (const store of ['weeks', 'days', 'exercises', 'sets']) {
+        records[store] = await transaction.objectStore(store).getAll()
+      }
+      const changed = backfillAncestors(records)
+      await Promise.all([
+        ...changed.exercises.map((record) => exercises.put(record)),
+        ...changed.sets.map((record) => sets.put(record)),
+      ])
+    }
   },
 })
 
+async function nextOrder(db, store, parentId) {
+  const siblings = await db.getAllFromIndex(store, ORDERED_STORES[store], parentId)
+  return siblings.reduce((max, r) => Math.max(max, (r.order ?? -1) + 1), 0)
+}
+
+// Swaps a day/exercise/set with its neighbour (direction -1 = up, 1 = down)
+// and renumbers its siblings 0..n-1 so orders stay dense.
+async function move(store, id, direction) {
+  const db = await dbPromise
+  const record = await db.get(store, id)
+  if (!record) return
+  const parentKey = ORDERED_STORES[store]
+  const siblings = (await db.getAllFromIndex(store, parentKey, record[parentKey])).sort(byOrder)
+  const from = siblings.findIndex((r) => r.id === id)
+  const to = from + direction
+  if (to < 0 || to >= siblings.length) return
+  ;[siblings[from], siblings[to]] = [siblings[to], siblings[from]]
+  const tx = db.transaction(store, 'readwrite')
+  await Promise.all([...siblings.map((r, i) => tx.store.put({ ...r, order: i })), tx.done])
+}
+
+export function moveDay(id, direction) {
+  return move('days', id, direction)
+}
+
+// Supersets stay intact: an exercise swaps with its neighbour inside its
+// group, and at the edge of its group the whole group swaps with the
+// neighbouring group. groupedWithPrevious is then rewritten from the new
+// layout, since it's relative to position. Leaving a group is unlinking it.
+export async function moveExercise(id, direction) {
+  const db = await dbPromise
+  const exercise = await db.get('exercises', id)
+  if (!exercise) return
+  const groups = exerciseGroups((await db.getAllFromIndex('exercises', 'dayId', exercise.dayId)).sort(byOrder))
+  const g = groups.findIndex((group) => group.some((e) => e.id === id))
+  const group = groups[g]
+  const from = group.findIndex((e) => e.id === id)
+  const to = from + direction
+  if (to >= 0 && to < group.length) {
+    ;[group[from], group[to]] = [group[to], group[from]]
+  } else {
+    const other = g + direction
+    if (other < 0 || other >= groups.length) return
+    ;[groups[g], groups[other]] = [groups[other], groups[g]]
+  }
+  const ordered = groups.flatMap((members) => members.map((e, i) => ({ ...e, groupedWithPrevious: i > 0 })))
+  const tx = db.transaction('exercises', 'readwrite')
+  await Promise.all([...ordered.map((e, i) => tx.store.put({ ...e, order: i })), tx.done])
+}
+
+export function moveSet(id, direction) {
+  return move('sets', id, direction)
+}
+
 // --- Blocks ---
 
 export async function getBlocks() {
@@ -64,6 +211,143 @@ export async function updateBlock(id, name) {
   await db.put('blocks', block)
 }
 
+// --- Training calendar ---
+//
+// block.schedule (see src/schedule.js) maps the block's days onto dates;
+// scheduled dates are derived on read, so adding, reordering or copying days
+// needs no bookkeeping. Editing the start date or weekdays starts over
+// without shifts.
+
+export async function updateBlockSchedule(id, schedule) {
+  const db = await dbPromise
+  const block = await db.get('blocks', id)
+  if (!block) return
+  block.schedule = schedule && { startDate: schedule.startDate, weekdays: schedule.weekdays, shifts: [] }
+  await db.put('blocks', block)
+}
+
+// Moves every session originally planned on or after `from` later by `days`.
+export async function shiftBlockSchedule(id, from, days) {
+  const db = await dbPromise
+  const block = await db.get('blocks', id)
+  if (!block?.schedule) return
+  block.schedule.shifts = [...(block.schedule.shifts ?? []), { from, days }]
+  await db.put('blocks', block)
+}
+
+// Every day that has a date: scheduled by its block, or actually started.
+//   → [{ block, week, day, planned, date }] (planned/date null if unscheduled)
+export async function getCalendarSessions() {
+  const sessions = []
+  for (const block of await getBlocks()) {
+    for (const week of await getWeeks(block.id)) {
+      for (const [i, day] of (await getDays(week.id)).entries()) {
+        const planned = block.schedule ? plannedDate(block.schedule, week.weekNumber, i) : null
+        const date = planned && scheduledDate(block.schedule, week.weekNumber, i)
+        if (date || day.startedAt) sessions.push({ block, week, day, planned, date })
+      }
+    }
+  }
+  return sessions
+}
+
+// --- Continue (home screen) ---
+//
+// Where to pick a workout back up: the most recent day that's partly done
+// (some sets completed, some not, and not finished), and in it the first
+// exercise that still has uncompleted sets. "Most recent" is the latest
+// set completion, falling back to when the day was started or created for
+// sets completed before completedAt existed. Reads each store once rather
+// than walking the hierarchy, since it runs every time the app opens.
+
+export async function getContinuePoint() {
+  const db = await dbPromise
+  const [days, exercises, sets] = await Promise.all([db.getAll('days'), db.getAll('exercises'), db.getAll('sets')])
+  const setsByExercise = new Map()
+  for (const set of sets) setsByExercise.set(set.exerciseId, [...(setsByExercise.get(set.exerciseId) ?? []), set])
+  const exercisesByDay = new Map()
+  for (const exercise of exercises) {
+    exercisesByDay.set(exercise.dayId, [...(exercisesByDay.get(exercise.dayId) ?? []), exercise])
+  }
+
+  let best = null
+  for (const day of days) {
+    if (day.finishedAt) continue
+    const daySets = (exercisesByDay.get(day.id) ?? []).flatMap((e) => setsByExercise.get(e.id) ?? [])
+    const done = daySets.filter((s) => s.completed)
+    if (done.length === 0 || done.length === daySets.length) continue
+    const lastActivity = done.map((s) => s.completedAt).filter(Boolean).sort().pop() ?? day.startedAt ?? day.createdAt
+    if (!best || lastActivity > best.lastActivity) best = { day, lastActivity }
+  }
+  if (!best) return null
+
+  const exercise = (exercisesByDay.get(best.day.id) ?? [])
+    .sort(byOrder)
+    .find((e) => (setsByExercise.get(e.id) ?? []).some((s) => !s.completed))
+  const week = await db.get('weeks', best.day.weekId)
+  const block = week && (await db.get('blocks', week.blockId))
+  if (!block) return null
+  return { block, week, day: best.day, exercise }
+}
+
+// --- Training maxes (percentage prescriptions) ---
+//
+// A block can hold a training max per exercise name (block.trainingMaxes,
+// keyed by normalizedName, always kg) and a rounding increment
+// (block.loadIncrement in block.loadIncrementUnit, so a lb gym can round to
+// 5 lb). Percentage targets are computed in the increment's unit.
+// A set prescribed as a percentage (set.targetPercent) gets its targetWeight
+// computed from these, so everything downstream keeps reading a plain
+// targetWeight. Changing a training max or the increment re-computes every
+// percentage set in the block through updateSetTarget, so completed sets keep
+// their logged weight exactly like any other target edit.
+
+export const DEFAULT_LOAD_INCREMENT = 2.5
+
+export function percentOfTrainingMax(block, normalizedName, percent) {
+  const trainingMax = block?.trainingMaxes?.[normalizedName]
+  if (trainingMax == null || percent == null) return null
+  const unit = block.loadIncrementUnit ?? 'kg'
+  return roundToIncrement(
+    (convertWeight(trainingMax, 'kg', unit) * percent) / 100,
+    block.loadIncrement ?? DEFAULT_LOAD_INCREMENT
+  )
+}
+
+async function resyncPercentSets(db, blockId, normalizedName) {
+  for (const week of await getWeeks(blockId)) {
+    for (const day of await getDays(week.id)) {
+      const exercises = await db.getAllFromIndex('exercises', 'dayId', day.id)
+      for (const exercise of exercises) {
+        if (normalizedName && exercise.normalizedName !== normalizedName) continue
+        for (const set of await getSets(exercise.id)) {
+          if (set.targetPercent != null) await updateSetTarget(set.id, { targetPercent: set.targetPercent })
+        }
+      }
+    }
+  }
+}
+
+export async function updateTrainingMax(blockId, normalizedName, trainingMax) {
+  const db = await dbPromise
+  const block = await db.get('blocks', blockId)
+  if (!block) return
+  block.trainingMaxes = { ...block.trainingMaxes, [normalizedName]: trainingMax }
+  if (trainingMax == null) delete block.trainingMaxes[normalizedName]
+  await db.put('blocks', block)
+  await resyncPercentSets(db, blockId, normalizedName)
+}
+
+export async function updateLoadIncrement(blockId, loadIncrement, loadIncrementUnit) {
+  const db = await dbPromise
+  const block = await db.get('blocks', blockId)
+  if (!block) return
+  block.loadIncrement = loadIncrement
+  block.loadIncrementUnit = loadIncrementUnit
+  await db.put('blocks', block)
+  await resyncPercentSets(db, blockId)
+}
+
 export async function deleteBlock(id) {
   const db = await dbPromise
   const weeks = await db.getAllFromIndex('weeks', 'blockId', id)
@@ -111,7 +395,7 @@ export async function deleteWeek(id) {
 export async function getDays(weekId) {
   const db = await dbPromise
   const days = await db.getAllFromIndex('days', 'weekId', weekId)
-  return days.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+  return days.sort(byOrder)
 }
 
 export async function getDay(id) {
@@ -121,7 +405,16 @@ export async function getDay(id) {
 
 export async function addDay(weekId, name) {
   const db = await dbPromise
-  const day = { id: newId(), weekId, name, createdAt: new Date().toISOString() }
+  const order = await nextOrder(db, 'days', weekId)
+  const day = {
+    id: newId(),
+    weekId,
+    name,
+    order,
+    startedAt: null,
+    finishedAt: null,
+    createdAt: new Date().toISOString(),
+  }
   await db.add('days', day)
   return day
 }
@@ -134,6 +427,45 @@ export async function updateDay(id, name) {
   await db.put('days', day)
 }
 
+// Train mode: when the session on this day actually happened. createdAt is
+// only when the day was planned (a copied-forward week is created all at
+// once), so history, comparisons and exports go by these instead.
+export async function startDay(id) {
+  const db = await dbPromise
+  const day = await db.get('days', id)
+  if (!day) return
+  day.startedAt = day.startedAt ?? new Date().toISOString()
+  day.finishedAt = null
+  await db.put('days', day)
+}
+
+export async function finishDay(id) {
+  const db = await dbPromise
+  const day = await db.get('days', id)
+  if (!day) return
+  const now = new Date().toISOString()
+  day.startedAt = day.startedAt ?? now
+  day.finishedAt = now
+  await db.put('days', day)
+}
+
+// Re-opens a finished session (finish tapped too early); the start is kept.
+export async function resumeDay(id) {
+  const db = await dbPromise
+  const day = await db.get('days', id)
+  if (!day) return
+  day.finishedAt = null
+  await db.put('days', day)
+}
+
+// The real date of a session: when its day was started, else when its
+// first set was ticked done. null for a session that hasn't been trained.
+export function sessionDate(day, sets = []) {
+  if (day.startedAt) return day.startedAt
+  const completed = sets.map((s) => s.completedAt).filter(Boolean).sort()
+  return completed[0] ?? null
+}
+
 export async function deleteDay(id) {
   const db = await dbPromise
   const exercises = await db.getAllFromIndex('exercises', 'dayId', id)
@@ -146,7 +478,7 @@ export async function deleteDay(id) {
 export async function getExercises(dayId) {
   const db = await dbPromise
   const exercises = await db.getAllFromIndex('exercises', 'dayId', dayId)
-  return exercises.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+  return exercises.sort(byOrder)
 }
 
 export async function getExercise(id) {
@@ -154,13 +486,25 @@ export async function getExercise(id) {
   return db.get('exercises', id)
 }
 
-export async function addExercise(dayId, name) {
+export async function addExercise(
+  dayId,
+  name,
+  { progression = null, groupedWithPrevious = false, warmup = null } = {}
+) {
   const db = await dbPromise
+  const day = await db.get('days', dayId)
+  const week = day && (await db.get('weeks', day.weekId))
   const exercise = {
     id: newId(),
     dayId,
+    weekId: week?.id ?? null,
+    blockId: week?.blockId ?? null,
     name,
     normalizedName: normalizeName(name),
+    progression,
+    groupedWithPrevious,
+    warmup,
+    order: await nextOrder(db, 'exercises', dayId),
     createdAt: new Date().toISOString(),
   }
   await db.add('exercises', exercise)
@@ -176,8 +520,62 @@ export async function updateExercise(id, name) {
   await db.put('exercises', exercise)
 }
 
+// Coach mode: the rule applied to this exercise's targets when its week is
+// copied forward (see src/progression.js). null clears it.
+export async function updateExerciseProgression(id, progression) {
+  const db = await dbPromise
+  const exercise = await db.get('exercises', id)
+  if (!exercise) return
+  exercise.progression = progression
+  await db.put('exercises', exercise)
+}
+
+// Superset/circuit grouping: true joins this exercise to the group of the
+// exercise before it (see src/grouping.js).
+export async function updateExerciseGrouping(id, groupedWithPrevious) {
+  const db = await dbPromise
+  const exercise = await db.get('exercises', id)
+  if (!exercise) return
+  exercise.groupedWithPrevious = groupedWithPrevious
+  await db.put('exercises', exercise)
+}
+
+// Coach mode: generated warm-up ramp (see src/warmups.js). Drops the
+// exercise's generated warm-ups that aren't completed, adds `targets` as new
+// sets just before its first non-warm-up set, and records `warmup`
+// ({ scheme, basis } or null to stop generating).
+export async function replaceWarmups(exerciseId, warmup, targets) {
+  const db = await dbPromise
+  const exercise = await db.get('exercises', exerciseId)
+  if (!exercise) return
+  for (const set of await getSets(exerciseId)) {
+    if (set.generatedWarmup && !set.completed) await db.delete('sets', set.id)
+  }
+  const added = []
+  for (const target of targets) added.push(await addSet(exerciseId, target))
+  const addedIds = new Set(added.map((s) => s.id))
+  const rest = (await getSets(exerciseId)).filter((s) => !addedIds.has(s.id))
+  const topIndex = rest.findIndex((s) => s.setType !== 'warmup')
+  const at = topIndex === -1 ? rest.length : topIndex
+  const ordered = [...rest.slice(0, at), ...added, ...rest.slice(at)]
+  const tx = db.transaction(['sets', 'exercises'], 'readwrite')
+  await Promise.all([
+    ...ordered.map((s, i) => tx.objectStore('sets').put({ ...s, order: i })),
+    tx.objectStore('exercises').put({ ...exercise, warmup }),
+    tx.done,
+  ])
+}
+
 export async function deleteExercise(id) {
   const db = await dbPromise
+  // Deleting the first exercise of a group makes the next member its head,
+  // rather than silently merging the rest into the group before it.
+  const exercise = await db.get('exercises', id)
+  if (exercise && !exercise.groupedWithPrevious) {
+    const siblings = await getExercises(exercise.dayId)
+    const next = siblings[siblings.findIndex((e) => e.id === id) + 1]
+    if (next?.groupedWithPrevious) await db.put('exercises', { ...next, groupedWithPrevious: false })
+  }
   const sets = await db.getAllFromIndex('sets', 'exerciseId', id)
   for (const set of sets) await db.delete('sets', set.id)
   await db.delete('exercises', id)
@@ -186,7 +584,9 @@ export async function deleteExercise(id) {
 // --- Sets ---
 //
 // Each set carries both a coach-authored target (targetRepsMin/Max, targetRPE,
-// targetWeight) and the actual logged result (weight, reps, rpe). Reps, rpe
+// targetWeight, optionally targetPercent of the block's training max) and the
+// actual logged result (weight, reps, rpe). Both weights record the unit they
+// were entered in (targetWeightUnit, weightUnit — see src/units.js). Reps, rpe
 // and weight are pre-filled from the target when a set is created (or when
 // its target is edited, as long as the set isn't completed yet) so training
 // mode always starts from "what the plan says" and only needs a quick
@@ -196,25 +596,44 @@ export async function deleteExercise(id) {
 export async function getSets(exerciseId) {
   const db = await dbPromise
   const sets = await db.getAllFromIndex('sets', 'exerciseId', exerciseId)
-  return sets.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+  return sets.sort(byOrder)
 }
 
 export async function addSet(
   exerciseId,
-  { targetRepsMin = null, targetRepsMax = null, targetRPE = null, targetWeight = null } = {}
+  {
+    targetRepsMin = null,
+    targetRepsMax = null,
+    targetRPE = null,
+    targetWeight = null,
+    targetWeightUnit = 'kg',
+    targetPercent = null,
+    setType = 'working',
+    generatedWarmup = false,
+  } = {}
 ) {
   const db = await dbPromise
+  const exercise = await db.get('exercises', exerciseId)
   const set = {
     id: newId(),
     exerciseId,
+    weekId: exercise?.weekId ?? null,
+    blockId: exercise?.blockId ?? null,
     targetRepsMin,
     targetRepsMax,
     targetRPE,
     targetWeight,
+    targetWeightUnit,
+    targetPercent,
+    setType,
+    generatedWarmup,
     weight: targetWeight,
+    weightUnit: targetWeightUnit,
     reps: targetRepsMax ?? targetRepsMin ?? null,
     rpe: targetRPE,
     completed: false,
+    completedAt: null,
+    order: await nextOrder(db, 'sets', exerciseId),
     createdAt: new Date().toISOString(),
   }
   await db.add('sets', set)
@@ -225,31 +644,59 @@ export async function addSet(
 // re-syncs the actual reps/rpe/weight to the new target as long as the set
 // hasn't been marked completed yet (so training mode always starts from the
 // current plan without silently overwriting a set you already logged).
-export async function updateSetTarget(id, { targetRepsMin, targetRepsMax, targetRPE, targetWeight }) {
+// Passing targetPercent computes targetWeight from the block's training max;
+// passing a plain targetWeight turns a percentage set back into a fixed one.
+export async function updateSetTarget(
+  id,
+  { targetRepsMin, targetRepsMax, targetRPE, targetWeight, targetWeightUnit, targetPercent, setType }
+) {
   const db = await dbPromise
   const set = await db.get('sets', id)
   if (!set) return
+  if (setType !== undefined) set.setType = setType
+  if (targetPercent !== undefined) {
+    set.targetPercent = targetPercent
+    if (targetPercent != null) {
+      const exercise = await db.get('exercises', set.exerciseId)
+      const day = await db.get('days', exercise.dayId)
+      const week = await db.get('weeks', day.weekId)
+      const block = await db.get('blocks', week.blockId)
+      targetWeight = percentOfTrainingMax(block, exercise.normalizedName, targetPercent)
+      targetWeightUnit = block.loadIncrementUnit ?? 'kg'
+    }
+  } else if (targetWeight !== undefined) {
+    set.targetPercent = null
+  }
   if (targetRepsMin !== undefined) set.targetRepsMin = targetRepsMin
   if (targetRepsMax !== undefined) set.targetRepsMax = targetRepsMax
   if (targetRPE !== undefined) set.targetRPE = targetRPE
   if (targetWeight !== undefined) set.targetWeight = targetWeight
+  if (targetWeightUnit !== undefined) set.targetWeightUnit = targetWeightUnit
   if (!set.completed) {
     if (targetRepsMax !== undefined) set.reps = targetRepsMax ?? set.targetRepsMin ?? null
     if (targetRPE !== undefined) set.rpe = targetRPE
-    if (targetWeight !== undefined) set.weight = targetWeight
+    if (targetWeight !== undefined) {
+      set.weight = targetWeight
+      set.weightUnit = set.targetWeightUnit ?? 'kg'
+    }
   }
   await db.put('sets', set)
 }
 
 // Training mode: edit the actual logged result. Only touches weight/reps/rpe/completed.
-export async function updateSetActual(id, { weight, reps, rpe, completed }) {
+// Ticking a set done stamps completedAt; unticking clears it.
+export async function updateSetActual(id, { weight, weightUnit, reps, rpe, completed }) {
   const db = await dbPromise
   const set = await db.get('sets', id)
   if (!set) return
   if (weight !== undefined) set.weight = weight
+  if (weightUnit !== undefined) set.weightUnit = weightUnit
   if (reps !== undefined) set.reps = reps
   if (rpe !== undefined) set.rpe = rpe
-  if (completed !== undefined) set.completed = completed
+  if (completed !== undefined && completed !== set.completed) {
+    set.completed = completed
+    set.completedAt = completed ? new Date().toISOString() : null
+  }
   await db.put('sets', set)
 }
 
@@ -260,32 +707,59 @@ export async function deleteSet(id) {
 
 // --- Cross-week comparison (feature 3) ---
 //
+// "Same exercise" means the same name or any alias of it (see nameGroup).
+//
 // "Last week": same exercise name, in the week immediately before the current
 // one (weekNumber - 1) within the same block. Prefers a match on the same
 // training day name; falls back to any day in that week if no day name matches.
 //
-// "Best week": scans every week in the block for this exercise name and picks
-// the week with the highest total volume (sum of weight * reps across all its
-// sets for that exercise). If the exercise appears on multiple days within a
-// single week, that week's volume is the sum across all those occurrences.
-// Volume (not top weight) is used because it rewards a week where more total
-// work was done, not just a single heavy top set.
+// "Best week": scans every week in the block (or, with scope 'all', every
+// week of every block) for this exercise name and picks the week that ranks
+// highest on the chosen metric (BEST_METRICS in strength.js). The default is
+// total volume (sum of weight * reps across all its completed non-warm-up
+// sets for that exercise): if the exercise appears on multiple days within a single
+// week, that week's volume is the sum across all those occurrences. Volume
+// is the default because it rewards a week where more total work was done,
+// not just a single heavy top set. The exercise being compared is left out,
+// so today is never compared with itself. The result carries the winning
+// `score` so the panel can say why it was picked.
+//
+// "Last time": the most recent earlier session of the exercise anywhere in
+// the history (see getExerciseHistory), so it still finds something in Week 1
+// of a new block or after a skipped week. Within that session's week it
+// prefers the same training day name, like "Last week" does.
+//
+// All comparisons return only the working sets, since warm-ups aren't what
+// you're trying to beat.
 
 async function getExercisesByName(db, blockId, normalizedName) {
-  const weeks = await getWeeks(blockId)
-  const matches = []
-  for (const week of weeks) {
-    const days = await getDays(week.id)
-    for (const day of days) {
-      const exercises = await db.getAllFromIndex('exercises', 'dayId', day.id)
-      for (const exercise of exercises) {
-        if (exercise.normalizedName === normalizedName) {
-          matches.push({ week, day, exercise })
-        }
-      }
-    }
+  const exercises = []
+  for (const name of await nameGroup(db, normalizedName)) {
+    exercises.push(...(await db.getAllFromIndex('exercises', 'normalizedName_blockId', [name, blockId])))
+  }
+  const { weeks, days } = await getAncestors(db, exercises)
+  return exercises
+    .map((exercise) => ({ week: weeks.get(exercise.weekId), day: days.get(exercise.dayId), exercise }))
+    .filter((m) => m.week && m.day)
+    .sort((a, b) => a.week.weekNumber - b.week.weekNumber || byOrder(a.day, b.day))
+}
+
+// The blocks, weeks and days (by id) that a batch of exercises sit in, read
+// in one transaction.
+async function getAncestors(db, exercises) {
+  const tx = db.transaction(['blocks', 'weeks', 'days'])
+  const fetch = async (store, ids) => {
+    const unique = [...new Set(ids)].filter((id) => id != null)
+    const records = await Promise.all(unique.map((id) => tx.objectStore(store).get(id)))
+    return new Map(records.filter(Boolean).map((r) => [r.id, r]))
   }
-  return matches
+  const [blocks, weeks, days] = await Promise.all([
+    fetch('blocks', exercises.map((e) => e.blockId)),
+    fetch('weeks', exercises.map((e) => e.weekId)),
+    fetch('days', exercises.map((e) => e.dayId)),
+  ])
+  await tx.done
+  return { blocks, weeks, days }
 }
 
 export async function getLastWeekComparison(exerciseId) {
@@ -304,53 +778,88 @@ export async function getLastWeekComparison(exerciseId) {
   )
   const chosen = sameDayMatch ?? prevWeekMatches[0]
 
-  const sets = await getSets(chosen.exercise.id)
-  return { week: chosen.week, day: chosen.day, exercise: chosen.exercise, sets }
+  const allSets = await getSets(chosen.exercise.id)
+  return {
+    week: chosen.week,
+    day: chosen.day,
+    exercise: chosen.exercise,
+    sets: allSets.filter((s) => !isWarmup(s)),
+    trainedAt: sessionDate(chosen.day, allSets),
+  }
 }
 
-function totalVolume(sets) {
-  return sets.reduce((sum, s) => sum + s.weight * s.reps, 0)
+// Only sessions that were actually trained (any set completed) count, and
+// "earlier" is relative to when this exercise was trained — or now, if it
+// hasn't been yet. Sessions are placed by sessionTime, so ones logged before
+// start/completion times existed still count, at their planned date.
+export async function getLastTimeComparison(exerciseId) {
+  const db = await dbPromise
+  const exercise = await db.get('exercises', exerciseId)
+  if (!exercise) return null
+  const day = await db.get('days', exercise.dayId)
+  const before = sessionDate(day, await getSets(exercise.id)) ?? new Date().toISOString()
+
+  const history = await getExerciseHistory(exercise.normalizedName)
+  const earlier = history.filter(
+    (s) => s.exercise.id !== exerciseId && s.sets.some((set) => set.completed) && sessionTime(s) < before
+  )
+  if (earlier.length === 0) return null
+
+  const sameWeek = earlier.filter((s) => s.week.id === earlier[0].week.id)
+  const sameDayMatch = sameWeek.find((s) => s.day.name.trim().toLowerCase() === day.name.trim().toLowerCase())
+  const chosen = sameDayMatch ?? earlier[0]
+
+  return {
+    block: chosen.block,
+    week: chosen.week,
+    day: chosen.day,
+    exercise: chosen.exercise,
+    sets: chosen.sets.filter((s) => !isWarmup(s)),
+    trainedAt: chosen.trainedAt,
+  }
 }
 
-export async function getBestWeekComparison(exerciseId) {
+export async function getBestWeekComparison(exerciseId, { metric = 'volume', scope = 'block', loadKg = null } = {}) {
   const db = await dbPromise
   const exercise = await db.get('exercises', exerciseId)
   if (!exercise) return null
   const day = await db.get('days', exercise.dayId)
   const week = await db.get('weeks', day.weekId)
 
-  const matches = await getExercisesByName(db, week.blockId, exercise.normalizedName)
-
+  const history = await getExerciseHistory(exercise.normalizedName, {
+    blockId: scope === 'block' ? week.blockId : null,
+  })
   const byWeek = new Map()
-  for (const m of matches) {
-    const sets = await getSets(m.exercise.id)
-    const entry = byWeek.get(m.week.id) ?? { week: m.week, sets: [], instances: [] }
-    entry.sets.push(...sets)
-    entry.instances.push({ day: m.day, exercise: m.exercise, sets })
-    byWeek.set(m.week.id, entry)
+  for (const session of history) {
+    if (session.exercise.id === exerciseId) continue
+    const entry = byWeek.get(session.week.id) ?? { block: session.block, week: session.week, instances: [] }
+    entry.instances.push(session)
+    byWeek.set(session.week.id, entry)
   }
 
   let best = null
   for (const entry of byWeek.values()) {
-    const volume = totalVolume(entry.sets)
-    if (!best || volume > best.volume) {
-      best = { volume, week: entry.week, instances: entry.instances }
-    }
+    const score = bestMetric(entry.instances.flatMap((i) => i.sets), metric, loadKg)
+    if (score && (!best || compareBestMetric(score, best.score) > 0)) best = { ...entry, score }
   }
-  if (!best || best.volume === 0) return null
+  if (!best) return null
 
   // If the exercise appeared on more than one day that week, show the single
-  // instance with the highest volume rather than merging distinct sessions.
+  // instance that ranks highest rather than merging distinct sessions.
   const topInstance = best.instances.reduce((a, b) =>
-    totalVolume(b.sets) > totalVolume(a.sets) ? b : a
+    compareBestMetric(bestMetric(b.sets, metric, loadKg), bestMetric(a.sets, metric, loadKg)) > 0 ? b : a
   )
 
   return {
+    block: best.block,
     week: best.week,
     day: topInstance.day,
     exercise: topInstance.exercise,
-    sets: topInstance.sets,
-    volume: best.volume,
+    sets: topInstance.sets.filter((s) => !isWarmup(s)),
+    trainedAt: topInstance.trainedAt,
+    metric,
+    scope,
+    score: best.score,
   }
 }
 
@@ -363,25 +872,360 @@ export async function getBestWeekComparison(exerciseId) {
 // really lifted) are never copied — every new set starts uncompleted with
 // its actual values equal to the copied target, exactly like a fresh set
 // created from that target.
+//
+// With { progression: true }, each exercise's progression rule (if any) is
+// applied to its targets on the way (see src/progression.js). The rule
+// itself is always carried over so it keeps firing week after week.
+// planWeekCopy returns exactly what copyWeekStructure will create, so the
+// coach can preview the progressed targets before confirming.
 
-export async function copyWeekStructure(sourceWeekId, targetWeekId) {
-  const sourceDays = await getDays(sourceWeekId)
-  for (const day of sourceDays) {
-    const newDay = await addDay(targetWeekId, day.name)
-    const exercises = await getExercises(day.id)
-    for (const exercise of exercises) {
-      const newExercise = await addExercise(newDay.id, exercise.name)
+export async function planWeekCopy(sourceWeekId, { progression = false } = {}) {
+  const plan = []
+  for (const day of await getDays(sourceWeekId)) {
+    const exercises = []
+    for (const exercise of await getExercises(day.id)) {
       const sets = await getSets(exercise.id)
-      for (const set of sets) {
-        await addSet(newExercise.id, {
-          targetRepsMin: set.targetRepsMin,
-          targetRepsMax: set.targetRepsMax,
-          targetRPE: set.targetRPE,
-          targetWeight: set.targetWeight,
+      const { targets, held } = applyProgression(progression ? exercise.progression : null, sets)
+      exercises.push({ exercise, sets, targets, held })
+    }
+    plan.push({ day, exercises })
+  }
+  return plan
+}
+
+// Creates one day with its exercises and set targets from a plain
+// { name, exercises: [{ name, progression, groupedWithPrevious, warmup, targets }] }
+// description — shared by week copy-forward and block templates.
+async function addDayFromPlan(weekId, dayPlan) {
+  const newDay = await addDay(weekId, dayPlan.name)
+  for (const exercisePlan of dayPlan.exercises) {
+    const newExercise = await addExercise(newDay.id, exercisePlan.name, {
+      progression: exercisePlan.progression ?? null,
+      groupedWithPrevious: exercisePlan.groupedWithPrevious ?? false,
+      warmup: exercisePlan.warmup ?? null,
+    })
+    for (const target of exercisePlan.targets) await addSet(newExercise.id, target)
+  }
+}
+
+export async function copyWeekStructure(sourceWeekId, targetWeekId, { progression = false } = {}) {
+  const plan = await planWeekCopy(sourceWeekId, { progression })
+  for (const { day, exercises } of plan) {
+    await addDayFromPlan(targetWeekId, {
+      name: day.name,
+      exercises: exercises.map(({ exercise, targets }) => ({
+        name: exercise.name,
+        progression: exercise.progression,
+        groupedWithPrevious: exercise.groupedWithPrevious,
+        warmup: exercise.warmup ?? null,
+        targets,
+      })),
+    })
+  }
+}
+
+// --- Block templates ---
+//
+// A template is a whole block's plan — every week's days, exercises,
+// progression rules and set targets, never the actuals — stored as one
+// self-contained record in the `templates` store:
+//
+//   { id, name, createdAt, loadIncrement, loadIncrementUnit,
+//     weeks: [{ weekNumber, days: [{ name, exercises: [
+//       { name, progression, groupedWithPrevious, warmup, targets }] }] }] }
+//
+// Training maxes are per athlete, so they aren't saved: percentage sets in
+// a new block start without a weight until its training maxes are set. The
+// same shape, wrapped with a format tag, is the shareable template file.
+
+const TEMPLATE_FORMAT = 'training-log-template'
+const TEMPLATE_FILE_VERSION = 1
+
+export async function getTemplates() {
+  const db = await dbPromise
+  const templates = await db.getAll('templates')
+  return templates.sort((a, b) => a.name.localeCompare(b.name))
+}
+
+export async function saveBlockAsTemplate(blockId, name) {
+  const db = await dbPromise
+  const block = await db.get('blocks', blockId)
+  if (!block) return null
+  const weeks = []
+  for (const week of await getWeeks(blockId)) {
+    const plan = await planWeekCopy(week.id)
+    weeks.push({
+      weekNumber: week.weekNumber,
+      days: plan.map(({ day, exercises }) => ({
+        name: day.name,
+        exercises: exercises.map(({ exercise, targets }) => ({
+          name: exercise.name,
+          progression: exercise.progression ?? null,
+          groupedWithPrevious: exercise.groupedWithPrevious ?? false,
+          warmup: exercise.warmup ?? null,
+          targets,
+        })),
+      })),
+    })
+  }
+  const template = {
+    id: newId(),
+    name,
+    loadIncrement: block.loadIncrement ?? DEFAULT_LOAD_INCREMENT,
+    loadIncrementUnit: block.loadIncrementUnit ?? 'kg',
+    weeks,
+    createdAt: new Date().toISOString(),
+  }
+  await db.add('templates', template)
+  return template
+}
+
+export async function deleteTemplate(id) {
+  const db = await dbPromise
+  await db.delete('templates', id)
+}
+
+export async function createBlockFromTemplate(templateId, name) {
+  const db = await dbPromise
+  const template = await db.get('templates', templateId)
+  if (!template) return null
+  if (!isValidTemplate(template)) throw new Error('This template is malformed.')
+  const block = await addBlock(name)
+  // Building the block takes many writes; if one fails, don't leave half a
+  // block behind.
+  try {
+    block.loadIncrement = template.loadIncrement ?? DEFAULT_LOAD_INCREMENT
+    block.loadIncrementUnit = template.loadIncrementUnit ?? 'kg'
+    await db.put('blocks', block)
+    for (const weekPlan of template.weeks) {
+      const week = await addWeek(block.id, weekPlan.weekNumber)
+      for (const dayPlan of weekPlan.days) {
+        await addDayFromPlan(week.id, {
+          ...dayPlan,
+          exercises: dayPlan.exercises.map((e) => ({
+            ...e,
+            targets: e.targets.map((t) => (t.targetPercent != null ? { ...t, targetWeight: null } : t)),
+          })),
         })
+        for (const exercisePlan of dayPlan.exercises) await addLibraryExercise(exercisePlan.name)
       }
     }
+  } catch (err) {
+    await deleteBlock(block.id)
+    throw err
+  }
+  return block
+}
+
+export function templateFile(template) {
+  const { name, loadIncrement, loadIncrementUnit, weeks } = template
+  return {
+    format: TEMPLATE_FORMAT,
+    version: TEMPLATE_FILE_VERSION,
+    template: { name, loadIncrement, loadIncrementUnit, weeks },
+  }
+}
+
+// Throws with a user-readable message if the parsed file isn't a template.
+export function validateTemplateFile(file) {
+  if (!file || typeof file !== 'object' || file.format !== TEMPLATE_FORMAT) {
+    throw new Error('This file is not a Training Log template.')
+  }
+  if (file.version > TEMPLATE_FILE_VERSION) {
+    throw new Error('This template was made by a newer version of the app.')
   }
+  if (!isValidTemplate(file.template)) throw new Error('This template file is malformed.')
+}
+
+function isObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function isNumberOrNull(value) {
+  return value == null || Number.isFinite(value)
+}
+
+function isUnitOrNull(value) {
+  return value == null || UNITS.includes(value)
+}
+
+// Targets become sets as-is (addSet fills in what's missing), so their
+// numbers must be numbers and their unit and set type ones the app knows.
+function isValidTemplateTarget(t) {
+  return (
+    isObject(t) &&
+    ['targetRepsMin', 'targetRepsMax', 'targetRPE', 'targetWeight', 'targetPercent'].every((key) =>
+      isNumberOrNull(t[key])
+    ) &&
+    isUnitOrNull(t.targetWeightUnit) &&
+    (t.setType == null || Object.hasOwn(SET_TYPES, t.setType))
+  )
+}
+
+// Progression rules and warm-up schemes must be ones this version knows, or
+// the editors that display them would break.
+function isValidTemplateExercise(e) {
+  return (
+    isObject(e) &&
+    typeof e.name === 'string' &&
+    Array.isArray(e.targets) &&
+    e.targets.every(isValidTemplateTarget) &&
+    (e.progression == null || (isObject(e.progression) && Object.hasOwn(PROGRESSION_TYPES, e.progression.type))) &&
+    (e.warmup == null || (isObject(e.warmup) && Object.hasOwn(WARMUP_SCHEMES, e.warmup.scheme)))
+  )
+}
+
+// The load increment drives every progression step, so a zero, negative or
+// non-numeric one would corrupt the targets of every block built from it.
+// Files without one get the defaults on import.
+function isValidTemplate(template) {
+  return (
+    isObject(template) &&
+    typeof template.name === 'string' &&
+    (template.loadIncrement == null || (Number.isFinite(template.loadIncrement) && template.loadIncrement > 0)) &&
+    isUnitOrNull(template.loadIncrementUnit) &&
+    Array.isArray(template.weeks) &&
+    template.weeks.every(
+      (w) =>
+        isObject(w) &&
+        Number.isInteger(w.weekNumber) &&
+        Array.isArray(w.days) &&
+        w.days.every(
+          (d) =>
+            isObject(d) &&
+            typeof d.name === 'string' &&
+            Array.isArray(d.exercises) &&
+            d.exercises.every(isValidTemplateExercise)
+        )
+    )
+  )
+}
+
+export async function importTemplateFile(file) {
+  validateTemplateFile(file)
+  const db = await dbPromise
+  const template = {
+    ...file.template,
+    loadIncrement: file.template.loadIncrement ?? DEFAULT_LOAD_INCREMENT,
+    loadIncrementUnit: file.template.loadIncrementUnit ?? 'kg',
+    id: newId(),
+    createdAt: new Date().toISOString(),
+  }
+  await db.add('templates', template)
+  return template
+}
+
+// --- Exercise history (library detail view) ---
+//
+// Every occurrence of an exercise name (or any of its aliases) across all
+// blocks, or just `blockId`, found through the normalizedName indexes rather
+// than by walking the hierarchy; parents and sets are then batch-read in one
+// transaction each. Each session carries its block/week/day so the view can
+// group and link back to it, and `trainedAt` (sessionDate, null if never
+// trained). Newest first by sessionTime: the real date, or when the exercise
+// was planned if untrained.
+
+export function sessionTime({ trainedAt, exercise }) {
+  return trainedAt ?? exercise.createdAt
+}
+
+export async function getExerciseHistory(normalizedName, { blockId = null } = {}) {
+  const db = await dbPromise
+  const exercises = []
+  for (const name of await nameGroup(db, normalizedName)) {
+    exercises.push(
+      ...(await (blockId
+        ? db.getAllFromIndex('exercises', 'normalizedName_blockId', [name, blockId])
+        : db.getAllFromIndex('exercises', 'normalizedName', name)))
+    )
+  }
+  const { blocks, weeks, days } = await getAncestors(db, exercises)
+  const tx = db.transaction('sets')
+  const setLists = await Promise.all(exercises.map((e) => tx.store.index('exerciseId').getAll(e.id)))
+  await tx.done
+
+  const sessions = []
+  exercises.forEach((exercise, i) => {
+    const day = days.get(exercise.dayId)
+    const week = weeks.get(exercise.weekId)
+    const block = blocks.get(exercise.blockId)
+    if (!day || !week || !block) return
+    const sets = setLists[i].sort(byOrder)
+    sessions.push({ block, week, day, exercise, sets, trainedAt: sessionDate(day, sets) })
+  })
+  return sessions.sort((a, b) => sessionTime(b).localeCompare(sessionTime(a)))
+}
+
+// --- Flat set export (CSV) ---
+//
+// One row per set, walking Block → Week → Day → Exercise → Set in the same
+// order the app shows them, so a spreadsheet sort is never needed to read it
+// back. Pass a blockId to export a single block, or nothing for everything.
+// Weights are converted to `unit` (listed in its own column) so a sheet never
+// mixes kg and lb. `date` is the session's real date (sessionDate, local
+// YYYY-MM-DD), empty for days not trained yet.
+
+export const SET_EXPORT_COLUMNS = [
+  'block',
+  'week',
+  'day',
+  'date',
+  'exerciseLetter',
+  'exercise',
+  'set',
+  'setType',
+  'targetRepsMin',
+  'targetRepsMax',
+  'targetRPE',
+  'targetWeight',
+  'weight',
+  'unit',
+  'reps',
+  'rpe',
+  'completed',
+  'completedAt',
+  'createdAt',
+]
+
+export async function getSetExportRows(blockId, unit = 'kg') {
+  const blocks = blockId ? [await getBlock(blockId)].filter(Boolean) : await getBlocks()
+  const rows = []
+  for (const block of blocks) {
+    for (const week of await getWeeks(block.id)) {
+      for (const day of await getDays(week.id)) {
+        const exercises = await getExercises(day.id)
+        const badges = exerciseBadges(exercises)
+        for (const [exerciseIndex, exercise] of exercises.entries()) {
+          const sets = await getSets(exercise.id)
+          const trainedAt = sessionDate(day, sets)
+          for (const [setIndex, set] of sets.entries()) {
+            rows.push({
+              block: block.name,
+              week: week.weekNumber,
+              day: day.name,
+              date: trainedAt ? localDate(trainedAt) : null,
+              exerciseLetter: badges[exerciseIndex],
+              exercise: exercise.name,
+              set: setIndex + 1,
+              setType: set.setType ?? 'working',
+              targetRepsMin: set.targetRepsMin,
+              targetRepsMax: set.targetRepsMax,
+              targetRPE: set.targetRPE,
+              targetWeight: displayTargetWeight(set, unit),
+              weight: displaySetWeight(set, unit),
+              unit,
+              reps: set.reps,
+              rpe: set.rpe,
+              completed: set.completed,
+              completedAt: set.completedAt ?? null,
+              createdAt: set.createdAt,
+            })
+          }
+        }
+      }
+    }
+  }
+  return rows
 }
 
 // --- Exercise library ---
@@ -390,7 +1234,9 @@ export async function copyWeekStructure(sourceWeekId, targetWeekId) {
 // before, so building a day's exercise list can be "pick from a list"
 // instead of retyping names every time. Adding a day-exercise with a brand
 // new name also adds it here (see ExercisesPage), so the library grows on
-// its own without a separate curation step.
+// its own without a separate curation step. Entries can be tagged with
+// primary/secondary muscle groups and equipment (keys from src/muscles.js)
+// for the weekly sets-per-muscle report.
 
 export async function getLibraryExercises() {
   const db = await dbPromise
@@ -398,28 +1244,272 @@ export async function getLibraryExercises() {
   return entries.sort((a, b) => a.name.localeCompare(b.name))
 }
 
+export async function getLibraryExercise(id) {
+  const db = await dbPromise
+  return db.get('exerciseLibrary', id)
+}
+
+// --- Aliases ---
+//
+// A library entry can list aliases ("RDL" for "Romanian Deadlift"). A name
+// resolves to the entry whose name or alias it matches, and comparisons,
+// history and the muscle report treat every name in that group as the same
+// exercise. The library is small, so lookups scan it instead of needing an
+// index on aliases.
+
+function libraryNames(entry) {
+  return [entry.normalizedName, ...(entry.aliases ?? []).map(normalizeName)]
+}
+
+async function findLibraryEntry(db, normalizedName) {
+  const entries = await db.getAll('exerciseLibrary')
+  return entries.find((entry) => libraryNames(entry).includes(normalizedName)) ?? null
+}
+
+// Every normalizedName that means the same exercise as this one.
+async function nameGroup(db, normalizedName) {
+  const entry = await findLibraryEntry(db, normalizedName)
+  return entry ? libraryNames(entry) : [normalizedName]
+}
+
+// The canonical library name for what was typed, or the name itself when
+// it isn't in the library — so adding "RDL" to a day adds "Romanian
+// Deadlift".
+export async function resolveExerciseName(name) {
+  const db = await dbPromise
+  const entry = await findLibraryEntry(db, normalizeName(name))
+  return entry ? entry.name : name
+}
+
+export async function addLibraryAlias(id, alias) {
+  const db = await dbPromise
+  const entry = await db.get('exerciseLibrary', id)
+  if (!entry) return
+  const existing = await findLibraryEntry(db, normalizeName(alias))
+  if (existing?.id === id) return
+  if (existing) throw new Error(`"${alias}" already belongs to "${existing.name}".`)
+  entry.aliases = [...(entry.aliases ?? []), alias]
+  await db.put('exerciseLibrary', entry)
+}
+
+export async function removeLibraryAlias(id, alias) {
+  const db = await dbPromise
+  const entry = await db.get('exerciseLibrary', id)
+  if (!entry) return
+  entry.aliases = (entry.aliases ?? []).filter((a) => a !== alias)
+  await db.put('exerciseLibrary', entry)
+}
+
 export async function addLibraryExercise(name) {
   const db = await dbPromise
   const normalizedName = normalizeName(name)
-  const existing = await db.getFromIndex('exerciseLibrary', 'normalizedName', normalizedName)
+  const existing = await findLibraryEntry(db, normalizedName)
   if (existing) return existing
-  const entry = { id: newId(), name, normalizedName, createdAt: new Date().toISOString() }
+  const entry = {
+    id: newId(),
+    name,
+    normalizedName,
+    aliases: [],
+    primaryMuscles: [],
+    secondaryMuscles: [],
+    equipment: null,
+    createdAt: new Date().toISOString(),
+  }
   await db.add('exerciseLibrary', entry)
   return entry
 }
 
-export async function updateLibraryExercise(id, name) {
+// Logged exercises are tied to a library entry only by normalizedName, and
+// so are block training maxes (keyed by it). Renaming an entry with
+// { propagate: true } renames every matching exercise and re-keys training
+// maxes too, so history and comparisons keep matching; without it, only the
+// library entry changes. A name that another entry already has is a merge,
+// not a rename, and is refused.
+
+export async function countExercisesByName(normalizedName) {
+  const db = await dbPromise
+  return db.countFromIndex('exercises', 'normalizedName', normalizedName)
+}
+
+// Points every exercise (and training max) named `from` at `name`.
+async function renameLoggedExercises(db, from, name) {
+  const to = normalizeName(name)
+  const exercises = await db.getAllFromIndex('exercises', 'normalizedName', from)
+  const blocks = (await db.getAll('blocks')).filter((b) => b.trainingMaxes?.[from] != null)
+  const tx = db.transaction(['exercises', 'blocks'], 'readwrite')
+  const writes = exercises.map((e) => tx.objectStore('exercises').put({ ...e, name, normalizedName: to }))
+  for (const block of blocks) {
+    const { [from]: trainingMax, ...rest } = block.trainingMaxes
+    // A merge target's own training max wins over the one being merged in.
+    const trainingMaxes = from === to ? block.trainingMaxes : { [to]: trainingMax, ...rest }
+    writes.push(tx.objectStore('blocks').put({ ...block, trainingMaxes }))
+  }
+  await Promise.all([...writes, tx.done])
+}
+
+export async function updateLibraryExercise(id, name, { propagate = false } = {}) {
   const db = await dbPromise
   const entry = await db.get('exerciseLibrary', id)
   if (!entry) return
+  const normalizedName = normalizeName(name)
+  const existing = await findLibraryEntry(db, normalizedName)
+  if (existing && existing.id !== id) throw new Error(`"${existing.name}" is already in the library. Merge the two instead.`)
+  if (propagate) await renameLoggedExercises(db, entry.normalizedName, name)
   entry.name = name
-  entry.normalizedName = normalizeName(name)
+  entry.normalizedName = normalizedName
   await db.put('exerciseLibrary', entry)
 }
 
+// Merging folds `source` into `target`: the source's logged exercises and
+// training maxes take the target's name, its name and aliases become the
+// target's aliases, its muscle tags are added to the target's, and the
+// source entry is removed. planLibraryMerge returns the
+// counts for the confirmation preview.
+export async function planLibraryMerge(sourceId, targetId) {
+  const db = await dbPromise
+  const [source, target] = await Promise.all([db.get('exerciseLibrary', sourceId), db.get('exerciseLibrary', targetId)])
+  if (!source || !target) return null
+  const blocks = await db.getAll('blocks')
+  return {
+    source,
+    target,
+    exercises: await countExercisesByName(source.normalizedName),
+    trainingMaxes: blocks.filter((b) => b.trainingMaxes?.[source.normalizedName] != null).length,
+  }
+}
+
+export async function mergeLibraryExercises(sourceId, targetId) {
+  const db = await dbPromise
+  const plan = await planLibraryMerge(sourceId, targetId)
+  if (!plan || sourceId === targetId) return
+  const { source, target } = plan
+  await renameLoggedExercises(db, source.normalizedName, target.name)
+  const union = (a = [], b = []) => [...new Set([...a, ...b])]
+  const primaryMuscles = union(target.primaryMuscles, source.primaryMuscles)
+  await db.put('exerciseLibrary', {
+    ...target,
+    aliases: union(target.aliases, [source.name, ...(source.aliases ?? [])]),
+    primaryMuscles,
+    secondaryMuscles: union(target.secondaryMuscles, source.secondaryMuscles).filter((m) => !primaryMuscles.includes(m)),
+    equipment: target.equipment ?? source.equipment ?? null,
+  })
+  await db.delete('exerciseLibrary', source.id)
+}
+
+export async function updateLibraryTags(id, { primaryMuscles, secondaryMuscles, equipment }) {
+  const db = await dbPromise
+  const entry = await db.get('exerciseLibrary', id)
+  if (!entry) return
+  if (primaryMuscles !== undefined) entry.primaryMuscles = primaryMuscles
+  if (secondaryMuscles !== undefined) entry.secondaryMuscles = secondaryMuscles
+  if (equipment !== undefined) entry.equipment = equipment
+  await db.put('exerciseLibrary', entry)
+}
+
+// Hard sets per muscle group for one week (see weeklyMuscleSets).
+export async function getWeekMuscleReport(weekId) {
+  const db = await dbPromise
+  const [weekExercises, weekSets] = await Promise.all([
+    db.getAllFromIndex('exercises', 'weekId', weekId),
+    db.getAllFromIndex('sets', 'weekId', weekId),
+  ])
+  const exercises = weekExercises.map((exercise) => ({
+    exercise,
+    sets: weekSets.filter((s) => s.exerciseId === exercise.id),
+  }))
+  const library = (await getLibraryExercises()).map((entry) => ({ ...entry, names: libraryNames(entry) }))
+  return weeklyMuscleSets(exercises, library)
+}
+
 export async function deleteLibraryExercise(id) {
   const db = await dbPromise
   await db.delete('exerciseLibrary', id)
 }
 
+// --- Backup: full JSON export / import ---
+//
+// Dumps every store into one JSON file tagged with DB_VERSION, so a cleared
+// cache or a new phone doesn't mean starting over. Import either replaces
+// everything or merges by id (records in the file overwrite records with the
+// same id, everything else is left alone). Both run in a single transaction,
+// so a bad file can't leave the database half-imported.
+
+const BACKUP_FORMAT = 'training-log-backup'
+const BACKUP_STORES = ['blocks', 'weeks', 'days', 'exercises', 'sets', 'exerciseLibrary', 'templates']
+
+export async function exportBackup() {
+  const db = await dbPromise
+  const tx = db.transaction(BACKUP_STORES)
+  const data = {}
+  await Promise.all(
+    BACKUP_STORES.map(async (store) => {
+      data[store] = await tx.objectStore(store).getAll()
+    })
+  )
+  await tx.done
+  return { format: BACKUP_FORMAT, version: DB_VERSION, exportedAt: new Date().toISOString(), data }
+}
+
+// Throws with a user-readable message if the parsed file isn't a backup this
+// version of the app can import.
+export function validateBackup(backup) {
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a Training Log backup.')
+  }
+  if (!Number.isInteger(backup.version) || backup.version > DB_VERSION) {
+    throw new Error(`This backup was made by a newer version of the app (database v${backup.version}).`)
+  }
+  if (!backup.data || typeof backup.data !== 'object') {
+    throw new Error('This backup has no data.')
+  }
+  for (const store of BACKUP_STORES) {
+    const records = backup.data[store] ?? []
+    const malformed = (r) => !r || typeof r.id !== 'string' || typeof r.createdAt !== 'string'
+    if (!Array.isArray(records) || records.some(malformed)) {
+      throw new Error(`This backup's "${store}" section is malformed.`)
+    }
+  }
+}
+
+export function backupCounts(backup) {
+  return Object.fromEntries(BACKUP_STORES.map((store) => [store, backup.data[store]?.length ?? 0]))
+}
+
+export async function importBackup(backup, { replace = false } = {}) {
+  validateBackup(backup)
+  const db = await dbPromise
+  // Backups from before manual ordering have no `order`. When merging, the
+  // file's records land among the ones already here, so backfill across both
+  // and write back any existing record that got renumbered.
+  const merged = {}
+  const rewritten = {}
+  for (const store of ['weeks', ...Object.keys(ORDERED_STORES)]) {
+    const incomingIds = new Set((backup.data[store] ?? []).map((r) => r.id))
+    const existing = replace ? [] : (await db.getAll(store)).filter((r) => !incomingIds.has(r.id))
+    merged[store] = { incomingIds, records: [...existing, ...(backup.data[store] ?? [])] }
+  }
+  for (const [store, parentKey] of Object.entries(ORDERED_STORES)) {
+    const changed = backfillOrder(merged[store].records, parentKey)
+    rewritten[store] = changed.filter((r) => !merged[store].incomingIds.has(r.id))
+  }
+  // Backups from before v5 also lack the denormalized blockId/weekId.
+  const reparented = backfillAncestors(
+    Object.fromEntries(Object.entries(merged).map(([store, { records }]) => [store, records]))
+  )
+  for (const store of ['exercises', 'sets']) {
+    const existing = reparented[store].filter((r) => !merged[store].incomingIds.has(r.id))
+    rewritten[store] = [...new Set([...rewritten[store], ...existing])]
+  }
+  const tx = db.transaction(BACKUP_STORES, 'readwrite')
+  const writes = []
+  for (const store of BACKUP_STORES) {
+    const objectStore = tx.objectStore(store)
+    if (replace) writes.push(objectStore.clear())
+    for (const record of [...(backup.data[store] ?? []), ...(rewritten[store] ?? [])]) {
+      writes.push(objectStore.put(record))
+    }
+  }
+  await Promise.all([...writes, tx.done])
+}
+
 export { normalizeName }
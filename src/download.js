@@ -0,0 +1,19 @@
+import { localDate } from './dates.js'
+
+// Hands a generated file to the browser as a download. Used by the backup and
+// export features — there's no server, so everything is built client-side.
+export function downloadFile(filename, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+// YYYY-MM-DD in local time, for stamping exported file names.
+export function fileDateStamp(date = new Date()) {
+  return localDate(date)
+}
@@ -0,0 +1,46 @@
+// Supersets / circuits. An exercise with `groupedWithPrevious: true` belongs
+// to the same group as the exercise right before it in the day's order, so
+// groups are always runs of consecutive exercises and survive copy-forward
+// and templates as a single flag. Because the flag is positional,
+// db.moveExercise moves whole groups past each other and rewrites it.
+
+// Splits a day's (ordered) exercises into groups: arrays of exercises.
+export function exerciseGroups(exercises) {
+  const groups = []
+  for (const exercise of exercises) {
+    if (exercise.groupedWithPrevious && groups.length > 0) groups[groups.length - 1].push(exercise)
+    else groups.push([exercise])
+  }
+  return groups
+}
+
+// One badge per exercise, in order: "A", "B" for single exercises and
+// "C1", "C2", "C3" for the members of a superset/tri-set.
+export function exerciseBadges(exercises) {
+  return exerciseGroups(exercises).flatMap((group, g) => {
+    const letter = String.fromCharCode(65 + g)
+    return group.length === 1 ? [letter] : group.map((_, i) => `${letter}${i + 1}`)
+  })
+}
+
+// Where the "Next exercise" button should go from `exerciseId`. Inside a
+// group it alternates round by round: the next member (cycling back to the
+// first) that still has an uncompleted set. Once no other member has sets
+// left, it moves on to the first exercise after the group. `setsByExercise`
+// maps exercise id → its sets. Returns { exercise, setNumber, inGroup } or
+// null on the day's last exercise.
+export function nextInSequence(exercises, exerciseId, setsByExercise) {
+  const groups = exerciseGroups(exercises)
+  const g = groups.findIndex((group) => group.some((e) => e.id === exerciseId))
+  if (g < 0) return null
+  const group = groups[g]
+  const start = group.findIndex((e) => e.id === exerciseId)
+  for (let step = 1; step < group.length; step++) {
+    const candidate = group[(start + step) % group.length]
+    const sets = setsByExercise.get(candidate.id) ?? []
+    const next = sets.findIndex((s) => !s.completed)
+    if (next >= 0) return { exercise: candidate, setNumber: next + 1, inGroup: true }
+  }
+  const after = groups[g + 1]?.[0]
+  return after ? { exercise: after, setNumber: null, inGroup: false } : null
+}
@@ -0,0 +1,79 @@
+// Muscle groups and equipment for library entries, and the weekly hard-sets
+// report built from them. A day's exercise is linked to its library entry by
+// normalizedName — its name or one of its aliases, the same link the
+// exercise-name datalist relies on — so an exercise with no library entry
+// (or an untagged one) simply doesn't count toward any muscle and is listed
+// as untagged instead.
+
+export const MUSCLE_GROUPS = {
+  chest: 'Chest',
+  frontDelts: 'Front delts',
+  sideDelts: 'Side delts',
+  rearDelts: 'Rear delts',
+  triceps: 'Triceps',
+  biceps: 'Biceps',
+  forearms: 'Forearms',
+  lats: 'Lats',
+  upperBack: 'Upper back',
+  lowerBack: 'Lower back',
+  abs: 'Abs',
+  glutes: 'Glutes',
+  quads: 'Quads',
+  hamstrings: 'Hamstrings',
+  adductors: 'Adductors',
+  calves: 'Calves',
+}
+
+export const EQUIPMENT = {
+  barbell: 'Barbell',
+  dumbbell: 'Dumbbell',
+  machine: 'Machine',
+  cable: 'Cable',
+  bodyweight: 'Bodyweight',
+  kettlebell: 'Kettlebell',
+  band: 'Band',
+  other: 'Other',
+}
+
+// A hard set is any set that isn't a warm-up. A set counts fully toward its
+// exercise's primary muscles and half toward its secondary ones (the usual
+// convention: rows train lats fully and biceps somewhat).
+export const SECONDARY_WEIGHT = 0.5
+
+// `exercises`: [{ exercise, sets }] for one week; `library`: every library
+// entry, with `names` listing the normalized name and aliases. Planned
+// counts every hard set, completed only the ticked ones.
+//   → { rows: [{ muscle, planned, completed }] (most planned first),
+//       untagged: [exercise names] }
+export function weeklyMuscleSets(exercises, library) {
+  const entries = new Map()
+  for (const entry of library) {
+    for (const name of entry.names ?? [entry.normalizedName]) entries.set(name, entry)
+  }
+  const totals = new Map()
+  const untagged = new Set()
+  for (const { exercise, sets } of exercises) {
+    const hard = sets.filter((s) => s.setType !== 'warmup')
+    if (hard.length === 0) continue
+    const entry = entries.get(exercise.normalizedName)
+    const primary = entry?.primaryMuscles ?? []
+    const secondary = entry?.secondaryMuscles ?? []
+    if (primary.length === 0 && secondary.length === 0) {
+      untagged.add(exercise.name)
+      continue
+    }
+    const done = hard.filter((s) => s.completed).length
+    const add = (muscle, weight) => {
+      const total = totals.get(muscle) ?? { muscle, planned: 0, completed: 0 }
+      total.planned += hard.length * weight
+      total.completed += done * weight
+      totals.set(muscle, total)
+    }
+    for (const muscle of primary) add(muscle, 1)
+    for (const muscle of secondary) if (!primary.includes(muscle)) add(muscle, SECONDARY_WEIGHT)
+  }
+  return {
+    rows: [...totals.values()].sort((a, b) => b.planned - a.planned),
+    untagged: [...untagged],
+  }
+}
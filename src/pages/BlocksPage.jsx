@@ -1,19 +1,33 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import Header from '../components/Header.jsx'
 import EntityRow from '../components/EntityRow.jsx'
 import RenameModal from '../components/RenameModal.jsx'
-import { LibraryIcon } from '../components/Icons.jsx'
+import ImportBackupModal from '../components/ImportBackupModal.jsx'
+import TodayCard from '../components/TodayCard.jsx'
+import { LibraryIcon, DownloadIcon, UploadIcon, CalendarIcon, ArrowRightIcon } from '../components/Icons.jsx'
+import { downloadFile, fileDateStamp } from '../download.js'
+import { toCsv } from '../csv.js'
+import { useMode } from '../ModeContext.jsx'
 import * as db from '../db.js'
 
 export default function BlocksPage() {
   const navigate = useNavigate()
+  const { unit } = useMode()
   const [blocks, setBlocks] = useState([])
   const [name, setName] = useState('')
   const [renaming, setRenaming] = useState(null)
+  const [pendingImport, setPendingImport] = useState(null)
+  const [templates, setTemplates] = useState([])
+  const [usingTemplate, setUsingTemplate] = useState(null)
+  const [continuePoint, setContinuePoint] = useState(null)
+  const fileInput = useRef(null)
+  const templateInput = useRef(null)
 
   async function load() {
     setBlocks(await db.getBlocks())
+    setTemplates(await db.getTemplates())
+    setContinuePoint(await db.getContinuePoint())
   }
 
   useEffect(() => {
@@ -29,19 +43,122 @@ export default function BlocksPage() {
     load()
   }
 
+  function handleContinue() {
+    const { block, week, day, exercise } = continuePoint
+    navigate(`/blocks/${block.id}/weeks/${week.id}/days/${day.id}/exercises/${exercise.id}`)
+  }
+
   async function handleDelete(block) {
     if (!confirm(`Delete "${block.name}" and everything inside it?`)) return
     await db.deleteBlock(block.id)
     load()
   }
 
+  async function handleExport() {
+    const backup = await db.exportBackup()
+    downloadFile(`training-log-backup-${fileDateStamp()}.json`, JSON.stringify(backup, null, 2), 'application/json')
+  }
+
+  async function handleExportCsv() {
+    const rows = await db.getSetExportRows(undefined, unit)
+    downloadFile(`training-log-sets-${fileDateStamp()}.csv`, toCsv(db.SET_EXPORT_COLUMNS, rows), 'text/csv')
+  }
+
+  async function handleFileChosen(e) {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const backup = JSON.parse(await file.text())
+      db.validateBackup(backup)
+      setPendingImport(backup)
+    } catch (err) {
+      alert(err instanceof SyntaxError ? 'That file is not valid JSON.' : err.message)
+    }
+  }
+
+  async function handleTemplateFileChosen(e) {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      await db.importTemplateFile(JSON.parse(await file.text()))
+      load()
+    } catch (err) {
+      alert(err instanceof SyntaxError ? 'That file is not valid JSON.' : err.message)
+    }
+  }
+
+  function handleExportTemplate(template) {
+    const slug = template.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'template'
+    downloadFile(`${slug}.template.json`, JSON.stringify(db.templateFile(template), null, 2), 'application/json')
+  }
+
+  async function handleDeleteTemplate(template) {
+    if (!confirm(`Delete the template "${template.name}"? Blocks already created from it are unaffected.`)) return
+    await db.deleteTemplate(template.id)
+    load()
+  }
+
+  async function handleImport(replace) {
+    try {
+      await db.importBackup(pendingImport, { replace })
+    } catch (err) {
+      alert(err.message)
+      return
+    }
+    setPendingImport(null)
+    load()
+  }
+
   return (
     <>
       <Header title="Training Log" showBack={false} />
       <div className="main">
-        <button className="btn secondary full" onClick={() => navigate('/library')}>
-          <span style={{ display: 'inline-flex', alignItems: 'center', gap: 8, justifyContent: 'center', width: '100%' }}>
-            <LibraryIcon /> Exercise Library
+        {continuePoint && (
+          <button className="today-session continue-btn" onClick={handleContinue}>
+            <span className="today-session-text">
+              <span className="next-exercise-label">Continue</span>
+              <span className="next-exercise-name">{continuePoint.exercise.name}</span>
+              <span className="hint">
+                {continuePoint.block.name} · Week {continuePoint.week.weekNumber} · {continuePoint.day.name}
+              </span>
+            </span>
+            <ArrowRightIcon />
+          </button>
+        )}
+
+        <TodayCard />
+
+        <div className="button-row">
+          <button className="btn secondary full" onClick={() => navigate('/library')}>
+            <span className="btn-label">
+              <LibraryIcon /> Exercise Library
+            </span>
+          </button>
+          <button className="btn secondary full" onClick={() => navigate('/calendar')}>
+            <span className="btn-label">
+              <CalendarIcon /> Calendar
+            </span>
+          </button>
+        </div>
+
+        <div className="button-row">
+          <button className="btn secondary full" onClick={handleExport}>
+            <span className="btn-label">
+              <DownloadIcon /> Export backup
+            </span>
+          </button>
+          <button className="btn secondary full" onClick={() => fileInput.current.click()}>
+            <span className="btn-label">
+              <UploadIcon /> Import backup
+            </span>
+          </button>
+          <input ref={fileInput} type="file" accept="application/json,.json" hidden onChange={handleFileChosen} />
+        </div>
+        <button className="btn secondary full" onClick={handleExportCsv}>
+          <span className="btn-label">
+            <DownloadIcon /> Export all sets (CSV)
           </span>
         </button>
 
@@ -68,6 +185,29 @@ export default function BlocksPage() {
             />
           ))}
         </div>
+
+        <div className="section-title">Templates</div>
+        <div className="list">
+          {templates.length === 0 && (
+            <div className="hint">Save a block as a template from its Weeks screen, or import a template file.</div>
+          )}
+          {templates.map((template) => (
+            <EntityRow
+              key={template.id}
+              label={template.name}
+              sub={`${template.weeks.length} ${template.weeks.length === 1 ? 'week' : 'weeks'} · tap to start a block`}
+              onOpen={() => setUsingTemplate(template)}
+              onExport={() => handleExportTemplate(template)}
+              onDelete={() => handleDeleteTemplate(template)}
+            />
+          ))}
+          <button className="btn secondary full" onClick={() => templateInput.current.click()}>
+            <span className="btn-label">
+              <UploadIcon /> Import template
+            </span>
+          </button>
+          <input ref={templateInput} type="file" accept="application/json,.json" hidden onChange={handleTemplateFileChosen} />
+        </div>
       </div>
 
       {renaming && (
@@ -82,6 +222,29 @@ export default function BlocksPage() {
           }}
         />
       )}
+
+      {usingTemplate && (
+        <RenameModal
+          title={`New block from "${usingTemplate.name}"`}
+          initialValue={usingTemplate.name}
+          onClose={() => setUsingTemplate(null)}
+          onSave={async (value) => {
+            let block
+            try {
+              block = await db.createBlockFromTemplate(usingTemplate.id, value)
+            } catch (err) {
+              alert(err.message)
+              return
+            }
+            setUsingTemplate(null)
+            navigate(`/blocks/${block.id}`)
+          }}
+        />
+      )}
+
+      {pendingImport && (
+        <ImportBackupModal backup={pendingImport} onImport={handleImport} onClose={() => setPendingImport(null)} />
+      )}
     </>
   )
 }
@@ -0,0 +1,114 @@
+import { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import Header from '../components/Header.jsx'
+import EntityRow from '../components/EntityRow.jsx'
+import { ChevronLeftIcon, ChevronRightIcon } from '../components/Icons.jsx'
+import { WEEKDAY_LABELS, addDays, calendarDate, sessionStatus } from '../schedule.js'
+import { formatDay, localDate } from '../dates.js'
+import * as db from '../db.js'
+
+const STATUS_LABELS = { scheduled: 'Scheduled', completed: 'Done', missed: 'Missed' }
+
+// Monday-first weeks covering the whole month, as YYYY-MM-DD (null pads the
+// first week's days before the 1st).
+function monthGrid(year, month) {
+  const first = localDate(new Date(year, month, 1))
+  const lead = (new Date(year, month, 1).getDay() + 6) % 7
+  const length = new Date(year, month + 1, 0).getDate()
+  return [...Array(lead).fill(null), ...Array.from({ length }, (_, i) => addDays(first, i))]
+}
+
+export default function CalendarPage() {
+  const navigate = useNavigate()
+  const today = localDate()
+  const [sessions, setSessions] = useState([])
+  const [month, setMonth] = useState(() => ({ year: new Date().getFullYear(), month: new Date().getMonth() }))
+  const [selected, setSelected] = useState(today)
+
+  async function load() {
+    setSessions(await db.getCalendarSessions())
+  }
+
+  useEffect(() => {
+    load()
+  }, [])
+
+  function shiftMonth(delta) {
+    setMonth(({ year, month }) => {
+      const date = new Date(year, month + delta, 1)
+      return { year: date.getFullYear(), month: date.getMonth() }
+    })
+  }
+
+  const byDate = new Map()
+  for (const session of sessions) {
+    const date = calendarDate(session)
+    byDate.set(date, [...(byDate.get(date) ?? []), session])
+  }
+  const selectedSessions = byDate.get(selected) ?? []
+  const title = new Date(month.year, month.month, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+
+  return (
+    <>
+      <Header title="Calendar" />
+      <div className="main">
+        <div className="card calendar">
+          <div className="calendar-head">
+            <button className="icon-btn" onClick={() => shiftMonth(-1)} aria-label="Previous month">
+              <ChevronLeftIcon />
+            </button>
+            <span className="section-title">{title}</span>
+            <button className="icon-btn" onClick={() => shiftMonth(1)} aria-label="Next month">
+              <ChevronRightIcon />
+            </button>
+          </div>
+          <div className="calendar-grid">
+            {[1, 2, 3, 4, 5, 6, 0].map((weekday) => (
+              <span className="calendar-weekday" key={weekday}>
+                {WEEKDAY_LABELS[weekday]}
+              </span>
+            ))}
+            {monthGrid(month.year, month.month).map((date, i) =>
+              date ? (
+                <button
+                  key={date}
+                  className={`calendar-day ${date === today ? 'today' : ''} ${date === selected ? 'selected' : ''}`}
+                  onClick={() => setSelected(date)}
+                >
+                  <span>{Number(date.slice(8))}</span>
+                  <span className="calendar-dots">
+                    {(byDate.get(date) ?? []).map((session) => (
+                      <span className={`calendar-dot ${sessionStatus(session, today)}`} key={session.day.id} />
+                    ))}
+                  </span>
+                </button>
+              ) : (
+                <span key={`pad-${i}`} />
+              )
+            )}
+          </div>
+          <div className="calendar-legend hint">
+            {Object.entries(STATUS_LABELS).map(([status, label]) => (
+              <span key={status}>
+                <span className={`calendar-dot ${status}`} /> {label}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div className="section-title">{formatDay(selected)}</div>
+        <div className="list">
+          {selectedSessions.length === 0 && <div className="hint">No sessions on this day.</div>}
+          {selectedSessions.map((session) => (
+            <EntityRow
+              key={session.day.id}
+              label={session.day.name}
+              sub={`${session.block.name} · Week ${session.week.weekNumber} · ${STATUS_LABELS[sessionStatus(session, today)]}`}
+              onOpen={() => navigate(`/blocks/${session.block.id}/weeks/${session.week.id}/days/${session.day.id}`)}
+            />
+          ))}
+        </div>
+      </div>
+    </>
+  )
+}
@@ -3,6 +3,8 @@ import { useNavigate, useParams } from 'react-router-dom'
 import Header from '../components/Header.jsx'
 import EntityRow from '../components/EntityRow.jsx'
 import RenameModal from '../components/RenameModal.jsx'
+import MuscleReport from '../components/MuscleReport.jsx'
+import { formatDay } from '../dates.js'
 import * as db from '../db.js'
 
 export default function DaysPage() {
@@ -33,6 +35,11 @@ export default function DaysPage() {
     load()
   }
 
+  async function handleMove(day, direction) {
+    await db.moveDay(day.id, direction)
+    load()
+  }
+
   async function handleDelete(day) {
     if (!confirm(`Delete "${day.name}" and everything inside it?`)) return
     await db.deleteDay(day.id)
@@ -58,16 +65,22 @@ export default function DaysPage() {
 
         <div className="list">
           {days.length === 0 && <div className="empty-state">No days yet. Add your first one above.</div>}
-          {days.map((day) => (
+          {days.map((day, i) => (
             <EntityRow
               key={day.id}
               label={day.name}
+              sub={day.startedAt ? formatDay(day.startedAt) : undefined}
               onOpen={() => navigate(`/blocks/${blockId}/weeks/${weekId}/days/${day.id}`)}
               onRename={() => setRenaming(day)}
               onDelete={() => handleDelete(day)}
+              reorder
+              onMoveUp={i > 0 ? () => handleMove(day, -1) : null}
+              onMoveDown={i < days.length - 1 ? () => handleMove(day, 1) : null}
             />
           ))}
         </div>
+
+        <MuscleReport weekId={weekId} refreshKey={days.length} />
       </div>
 
       {renaming && (
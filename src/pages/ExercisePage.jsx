@@ -2,36 +2,131 @@ import { useEffect, useState } from 'react'
 import { useNavigate, useParams } from 'react-router-dom'
 import Header from '../components/Header.jsx'
 import ComparisonPanel from '../components/ComparisonPanel.jsx'
+import { ComparisonSummary, SetComparison } from '../components/ComparisonDeltas.jsx'
+import PersonalRecords from '../components/PersonalRecords.jsx'
+import ProgressionEditor from '../components/ProgressionEditor.jsx'
+import TrainingMaxEditor from '../components/TrainingMaxEditor.jsx'
+import PlateCalculator from '../components/PlateCalculator.jsx'
+import PlateSettingsModal from '../components/PlateSettingsModal.jsx'
+import WarmupEditor from '../components/WarmupEditor.jsx'
+import ReorderButtons from '../components/ReorderButtons.jsx'
 import { TrashIcon, CheckIcon, ArrowRightIcon } from '../components/Icons.jsx'
 import { useMode } from '../ModeContext.jsx'
+import { exerciseBadges, exerciseGroups, nextInSequence } from '../grouping.js'
+import {
+  SET_TYPES,
+  formatWeight,
+  isWarmup,
+  newRecords,
+  oneRepMaxEstimates,
+  sessionE1rm,
+  suggestLoad,
+} from '../strength.js'
+import { convertWeight, displaySetWeight, displayTargetWeight } from '../units.js'
+import { loadPlateSettings, savePlateSettings } from '../plates.js'
+import { planWarmups, warmupsStale } from '../warmups.js'
 import * as db from '../db.js'
 
 function parseRepsRange(value) {
-  const match = value.trim().match(/^(\d+)\s*(?:-\s*(\d+))?$/)
+  const match = value.trim().match(/^(\d+)\s*(?:-\s*(\d+)|\+)?$/)
   if (!match) return null
   const min = Number(match[1])
   const max = match[2] ? Number(match[2]) : min
   return { min, max }
 }
 
+// AMRAP sets read as a minimum ("8+") rather than a range.
 function repsRangeText(set) {
   if (set.targetRepsMin == null) return ''
+  if (set.setType === 'amrap') return `${set.targetRepsMin}+`
   if (set.targetRepsMin === set.targetRepsMax) return String(set.targetRepsMin)
   return `${set.targetRepsMin}-${set.targetRepsMax}`
 }
 
-function targetSummary(set) {
+function targetSummary(set, unit) {
   const parts = []
   if (set.targetRepsMin != null) parts.push(`${repsRangeText(set)} reps`)
   if (set.targetRPE != null) parts.push(`RPE ${set.targetRPE}`)
-  if (set.targetWeight != null) parts.push(`${set.targetWeight} kg`)
+  if (set.targetPercent != null) parts.push(`${set.targetPercent}%`)
+  if (set.targetWeight != null) parts.push(`${displayTargetWeight(set, unit)} ${unit}`)
   return parts.join(' · ')
 }
 
+// What each input shows for a set before it's edited. Weights are shown in
+// the display unit; commits compare against this so that merely focusing
+// and leaving a converted weight never rewrites it in the other unit.
+function initialFields(set, unit) {
+  return {
+    reps: set.reps ?? '',
+    rpe: set.rpe ?? '',
+    weight: displaySetWeight(set, unit) ?? '',
+    repsRange: repsRangeText(set),
+    targetRPE: set.targetRPE ?? '',
+    targetWeight: set.targetPercent != null ? `${set.targetPercent}%` : (displayTargetWeight(set, unit) ?? ''),
+  }
+}
+
+// Coach weight cell: "75%" (or "75 %") prescribes a percentage of the
+// training max, anything else is a plain target in the display unit.
+function parseTargetWeight(value) {
+  const trimmed = value.trim()
+  if (trimmed === '') return { targetWeight: null }
+  const percent = trimmed.match(/^(\d+(?:\.\d+)?)\s*%$/)
+  if (percent) return { targetPercent: Number(percent[1]) }
+  const number = Number(trimmed)
+  return Number.isNaN(number) ? null : { targetWeight: number }
+}
+
+// A set as currently typed in train mode, so comparison deltas follow the
+// inputs before they're committed. Typed weights are in the display unit.
+function draftSet(set, fields, unit) {
+  if (!fields) return set
+  const number = (value) => (value === '' || Number.isNaN(Number(value)) ? null : Number(value))
+  return { ...set, reps: number(fields.reps), rpe: number(fields.rpe), weight: number(fields.weight), weightUnit: unit }
+}
+
+const RECORD_LABELS = { rep: 'rep record', e1rm: 'e1RM record' }
+
+// Every e1RM estimate for a set as typed (src/strength.js), in the display
+// unit: "e1RM: Epley 116.7 · Brzycki 112.5 · RPE 123.3 kg". Null for
+// warm-ups and sets without a weight and reps.
+function e1rmText(set, unit) {
+  if (isWarmup(set)) return null
+  const estimates = oneRepMaxEstimates(set)
+  if (!estimates) return null
+  const weight = (kg) => formatWeight(convertWeight(kg, 'kg', unit))
+  const parts = [`Epley ${weight(estimates.epley)}`]
+  if (estimates.brzycki != null) parts.push(`Brzycki ${weight(estimates.brzycki)}`)
+  if (estimates.rpe != null) parts.push(`RPE ${weight(estimates.rpe)}`)
+  return `e1RM: ${parts.join(' · ')} ${unit}`
+}
+
+const COMPARISON_LABELS = { last: 'last week', lastTime: 'last time', best: 'best week' }
+
+// Load suggestions for sets the coach prescribed as reps @ RPE with no
+// weight. The e1RM basis is the latest completed set earlier in this session
+// that has an e1RM (so a heavier-than-planned top set moves the back-offs),
+// falling back to the most recent earlier session. Suggestions only fill the
+// input's placeholder and a "Use" button — they're never written to the set
+// until accepted.
+function loadSuggestions(sets, previousE1rm, unit) {
+  const suggestions = new Map()
+  let basis = previousE1rm
+  for (const set of sets) {
+    const reps = set.targetRepsMax ?? set.targetRepsMin
+    if (set.targetWeight == null && set.targetRPE != null && reps != null && basis) {
+      const weight = suggestLoad(basis, reps, set.targetRPE, unit)
+      if (weight) suggestions.set(set.id, { weight, basis })
+    }
+    basis = sessionE1rm([set]) ?? basis
+  }
+  return suggestions
+}
+
 export default function ExercisePage() {
   const { blockId, weekId, dayId, exerciseId } = useParams()
   const navigate = useNavigate()
-  const { mode } = useMode()
+  const { mode, unit } = useMode()
   const [block, setBlock] = useState(null)
   const [week, setWeek] = useState(null)
   const [day, setDay] = useState(null)
@@ -39,10 +134,15 @@ export default function ExercisePage() {
   const [badge, setBadge] = useState(null)
   const [nextExercise, setNextExercise] = useState(null)
   const [sets, setSets] = useState([])
+  const [history, setHistory] = useState([])
   const [fields, setFields] = useState({})
+  const [plateSetId, setPlateSetId] = useState(null)
+  const [plateSettings, setPlateSettings] = useState(() => loadPlateSettings(unit))
+  const [editingPlates, setEditingPlates] = useState(false)
+  const [comparison, setComparison] = useState(null)
 
   async function load() {
-    const [b, w, d, ex, exList, setList] = await Promise.all([
+    let [b, w, d, ex, exList, setList] = await Promise.all([
       db.getBlock(blockId),
       db.getWeek(weekId),
       db.getDay(dayId),
@@ -50,14 +150,28 @@ export default function ExercisePage() {
       db.getExercises(dayId),
       db.getSets(exerciseId),
     ])
+    // A generated warm-up ramp follows its top set's target, however that
+    // changed (edited here, a new training max, copy-forward progression).
+    if (ex && warmupsStale(ex, setList)) {
+      const { basis, targets } = planWarmups(setList, ex.warmup.scheme, plateSettings)
+      await db.replaceWarmups(ex.id, { ...ex.warmup, basis }, targets)
+      ;[ex, setList] = await Promise.all([db.getExercise(exerciseId), db.getSets(exerciseId)])
+    }
     setBlock(b)
     setWeek(w)
     setDay(d)
     setExercise(ex)
     const idx = exList.findIndex((e) => e.id === exerciseId)
-    setBadge(idx >= 0 ? String.fromCharCode(65 + idx) : null)
-    setNextExercise(idx >= 0 ? exList[idx + 1] ?? null : null)
+    setBadge(idx >= 0 ? exerciseBadges(exList)[idx] : null)
+    // Supersets alternate member by member, so "next" depends on which
+    // group members still have sets left.
+    const group = exerciseGroups(exList).find((g) => g.some((e) => e.id === exerciseId)) ?? []
+    const setsByExercise = new Map(
+      await Promise.all(group.map(async (e) => [e.id, e.id === exerciseId ? setList : await db.getSets(e.id)]))
+    )
+    setNextExercise(nextInSequence(exList, exerciseId, setsByExercise))
     setSets(setList)
+    setHistory(ex ? await db.getExerciseHistory(ex.normalizedName) : [])
   }
 
   useEffect(() => {
@@ -66,18 +180,9 @@ export default function ExercisePage() {
 
   useEffect(() => {
     const next = {}
-    for (const set of sets) {
-      next[set.id] = {
-        reps: set.reps ?? '',
-        rpe: set.rpe ?? '',
-        weight: set.weight ?? '',
-        repsRange: repsRangeText(set),
-        targetRPE: set.targetRPE ?? '',
-        targetWeight: set.targetWeight ?? '',
-      }
-    }
+    for (const set of sets) next[set.id] = initialFields(set, unit)
     setFields(next)
-  }, [sets])
+  }, [sets, unit])
 
   function field(setId, key) {
     return fields[setId]?.[key] ?? ''
@@ -87,12 +192,37 @@ export default function ExercisePage() {
     setFields((prev) => ({ ...prev, [setId]: { ...prev[setId], [key]: value } }))
   }
 
+  function unchanged(setId, key, rawValue) {
+    const set = sets.find((s) => s.id === setId)
+    return set && String(rawValue) === String(initialFields(set, unit)[key])
+  }
+
   async function commitActual(setId, key, rawValue) {
+    if (key === 'weight' && unchanged(setId, key, rawValue)) return
     const value = rawValue === '' ? null : Number(rawValue)
-    await db.updateSetActual(setId, { [key]: value })
+    await db.updateSetActual(setId, key === 'weight' ? { weight: value, weightUnit: unit } : { [key]: value })
+    load()
+  }
+
+  // Plate calculator input: what's typed in the Load cell, else the
+  // suggested load, else the coach's target.
+  function plateWeight(set, suggestion) {
+    const raw = field(set.id, 'weight')
+    if (raw !== '' && !Number.isNaN(Number(raw))) return Number(raw)
+    return suggestion?.weight ?? displayTargetWeight(set, unit)
+  }
+
+  async function applyPlateLoad(setId, total, weightUnit) {
+    await db.updateSetActual(setId, { weight: total, weightUnit })
     load()
   }
 
+  function savePlates(settings) {
+    savePlateSettings(settings)
+    setPlateSettings(settings)
+    setEditingPlates(false)
+  }
+
   async function commitRepsRange(setId, rawValue) {
     const parsed = parseRepsRange(rawValue)
     await db.updateSetTarget(setId, {
@@ -109,8 +239,9 @@ export default function ExercisePage() {
   }
 
   async function commitTargetWeight(setId, rawValue) {
-    const value = rawValue === '' ? null : Number(rawValue)
-    await db.updateSetTarget(setId, { targetWeight: value })
+    if (unchanged(setId, 'targetWeight', rawValue)) return
+    const parsed = parseTargetWeight(rawValue)
+    if (parsed) await db.updateSetTarget(setId, 'targetWeight' in parsed ? { ...parsed, targetWeightUnit: unit } : parsed)
     load()
   }
 
@@ -124,6 +255,26 @@ export default function ExercisePage() {
     load()
   }
 
+  async function commitWarmupScheme(scheme) {
+    if (scheme) {
+      const { basis, targets } = planWarmups(sets, scheme, plateSettings)
+      await db.replaceWarmups(exerciseId, { scheme, basis }, targets)
+    } else {
+      await db.replaceWarmups(exerciseId, null, [])
+    }
+    load()
+  }
+
+  async function commitSetType(setId, setType) {
+    await db.updateSetTarget(setId, { setType })
+    load()
+  }
+
+  async function handleMoveSet(set, direction) {
+    await db.moveSet(set.id, direction)
+    load()
+  }
+
   async function handleDeleteSet(set) {
     if (!confirm('Delete this set?')) return
     await db.deleteSet(set.id)
@@ -132,6 +283,28 @@ export default function ExercisePage() {
 
   if (!block || !week || !day || !exercise) return null
 
+  // PR flags compare this session against sessions of the same exercise that
+  // came before it (by real training date), so revisiting an old week doesn't
+  // flag against the future. An untrained exercise is about to be trained, so
+  // everything before now counts — even weeks planned after it was created.
+  const current = history.find((h) => h.exercise.id === exercise.id)
+  const currentTime = current?.trainedAt ?? new Date().toISOString()
+  const earlier = history.filter((h) => h.exercise.id !== exercise.id && db.sessionTime(h) < currentTime)
+  const records = newRecords(earlier.flatMap((h) => h.sets), sets)
+  const previousSession = earlier.find((h) => sessionE1rm(h.sets) != null)
+  const suggestions = loadSuggestions(sets, previousSession ? sessionE1rm(previousSession.sets) : null, unit)
+
+  // Today's working sets line up with the comparison's by position.
+  const drafts = sets.map((set) => draftSet(set, fields[set.id], unit))
+  const comparedSets = new Map()
+  if (comparison) {
+    drafts
+      .filter((set) => !isWarmup(set))
+      .forEach((set, i) => {
+        if (comparison.result.sets[i]) comparedSets.set(set.id, comparison.result.sets[i])
+      })
+  }
+
   return (
     <>
       <Header breadcrumb={`${block.name} › Week ${week.weekNumber} › ${day.name}`} title="Exercise" />
@@ -141,49 +314,88 @@ export default function ExercisePage() {
           <span className="exercise-title">{exercise.name}</span>
         </div>
 
-        {mode === 'train' && <ComparisonPanel exerciseId={exerciseId} refreshKey={sets.length} />}
+        {mode === 'train' && (
+          <ComparisonPanel
+            exerciseId={exerciseId}
+            normalizedName={exercise.normalizedName}
+            refreshKey={sets.length}
+            onResult={setComparison}
+          />
+        )}
+
+        {mode === 'train' && comparison && (
+          <ComparisonSummary
+            sets={drafts.filter((set) => set.completed)}
+            previousSets={comparison.result.sets}
+            label={COMPARISON_LABELS[comparison.mode]}
+            unit={unit}
+          />
+        )}
 
         {mode === 'coach' ? (
-          <div className="set-table">
+          <div className="set-table coach">
             <div className="set-table-cols">
               <span>Set</span>
               <span>Reps</span>
               <span>RPE</span>
               <span>Weight</span>
               <span></span>
+              <span></span>
             </div>
             {sets.map((set, i) => (
-              <div className="set-table-row" key={set.id}>
-                <span className="set-index">{i + 1}</span>
-                <div className="set-cell">
-                  <input
-                    placeholder="8-12"
-                    value={field(set.id, 'repsRange')}
-                    onChange={(e) => setField(set.id, 'repsRange', e.target.value)}
-                    onBlur={(e) => commitRepsRange(set.id, e.target.value)}
-                  />
-                </div>
-                <div className="set-cell">
-                  <input
-                    placeholder="8.5"
-                    inputMode="decimal"
-                    value={field(set.id, 'targetRPE')}
-                    onChange={(e) => setField(set.id, 'targetRPE', e.target.value)}
-                    onBlur={(e) => commitTargetRPE(set.id, e.target.value)}
-                  />
-                </div>
-                <div className="set-cell">
-                  <input
-                    placeholder="kg"
-                    inputMode="decimal"
-                    value={field(set.id, 'targetWeight')}
-                    onChange={(e) => setField(set.id, 'targetWeight', e.target.value)}
-                    onBlur={(e) => commitTargetWeight(set.id, e.target.value)}
+              <div className="set-block" key={set.id}>
+                <select
+                  className={`set-type-select ${set.setType ?? 'working'}`}
+                  value={set.setType ?? 'working'}
+                  onChange={(e) => commitSetType(set.id, e.target.value)}
+                  aria-label="Set type"
+                >
+                  {Object.entries(SET_TYPES).map(([type, label]) => (
+                    <option key={type} value={type}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <div className="set-table-row">
+                  <span className="set-index">{i + 1}</span>
+                  <div className="set-cell">
+                    <input
+                      placeholder={set.setType === 'amrap' ? '8+' : '8-12'}
+                      value={field(set.id, 'repsRange')}
+                      onChange={(e) => setField(set.id, 'repsRange', e.target.value)}
+                      onBlur={(e) => commitRepsRange(set.id, e.target.value)}
+                    />
+                  </div>
+                  <div className="set-cell">
+                    <input
+                      placeholder="8.5"
+                      inputMode="decimal"
+                      value={field(set.id, 'targetRPE')}
+                      onChange={(e) => setField(set.id, 'targetRPE', e.target.value)}
+                      onBlur={(e) => commitTargetRPE(set.id, e.target.value)}
+                    />
+                  </div>
+                  <div className="set-cell">
+                    <input
+                      placeholder={unit}
+                      value={field(set.id, 'targetWeight')}
+                      onChange={(e) => setField(set.id, 'targetWeight', e.target.value)}
+                      onBlur={(e) => commitTargetWeight(set.id, e.target.value)}
+                    />
+                    {set.targetPercent != null && (
+                      <span className="cell-hint">
+                        {set.targetWeight != null ? `${displayTargetWeight(set, unit)} ${unit}` : 'no TM'}
+                      </span>
+                    )}
+                  </div>
+                  <ReorderButtons
+                    onMoveUp={i > 0 ? () => handleMoveSet(set, -1) : null}
+                    onMoveDown={i < sets.length - 1 ? () => handleMoveSet(set, 1) : null}
                   />
+                  <button className="icon-btn danger" onClick={() => handleDeleteSet(set)} aria-label="Delete set">
+                    <TrashIcon />
+                  </button>
                 </div>
-                <button className="icon-btn danger" onClick={() => handleDeleteSet(set)} aria-label="Delete set">
-                  <TrashIcon />
-                </button>
               </div>
             ))}
             <div className="set-table-footer">
@@ -202,10 +414,19 @@ export default function ExercisePage() {
               <span></span>
             </div>
             {sets.map((set, i) => {
-              const summary = targetSummary(set)
+              const summary = targetSummary(set, unit)
+              const estimates = e1rmText(drafts[i], unit)
+              const typeLabel = set.setType && set.setType !== 'working' ? SET_TYPES[set.setType] : null
+              const suggestion = !set.completed && set.weight == null ? suggestions.get(set.id) : null
+              const plateTarget = plateSetId === set.id ? plateWeight(set, suggestion) : null
               return (
                 <div className="set-block" key={set.id}>
-                  {summary && <div className="set-target-summary">Coach: {summary}</div>}
+                  {(summary || typeLabel) && (
+                    <div className="set-target-summary">
+                      {typeLabel && <span className={`set-type-tag ${set.setType}`}>{typeLabel}</span>}
+                      {summary && `Coach: ${summary}`}
+                    </div>
+                  )}
                   <div className="set-table-row">
                     <span className="set-index">{i + 1}</span>
                     <div className="set-cell">
@@ -226,10 +447,11 @@ export default function ExercisePage() {
                     </div>
                     <div className="set-cell">
                       <input
-                        placeholder="-"
+                        placeholder={suggestion ? String(suggestion.weight) : '-'}
                         inputMode="decimal"
                         value={field(set.id, 'weight')}
                         onChange={(e) => setField(set.id, 'weight', e.target.value)}
+                        onFocus={() => setPlateSetId(set.id)}
                         onBlur={(e) => commitActual(set.id, 'weight', e.target.value)}
                       />
                     </div>
@@ -241,6 +463,44 @@ export default function ExercisePage() {
                       <CheckIcon />
                     </button>
                   </div>
+                  {suggestion && (
+                    <div className="load-suggestion">
+                      <span>
+                        Suggested {suggestion.weight} {unit}
+                        <span className="set-rpe">
+                          {' '}
+                          (e1RM {formatWeight(convertWeight(suggestion.basis, 'kg', unit))} {unit})
+                        </span>
+                      </span>
+                      <button className="btn secondary" onClick={() => commitActual(set.id, 'weight', suggestion.weight)}>
+                        Use
+                      </button>
+                    </div>
+                  )}
+                  {plateTarget != null && (
+                    <PlateCalculator
+                      weight={plateTarget}
+                      unit={unit}
+                      settings={plateSettings}
+                      onUse={(total, weightUnit) => applyPlateLoad(set.id, total, weightUnit)}
+                      onSettings={() => setEditingPlates(true)}
+                      onClose={() => setPlateSetId(null)}
+                    />
+                  )}
+                  {estimates && <div className="set-e1rm">{estimates}</div>}
+                  {comparedSets.has(set.id) && (
+                    <SetComparison
+                      set={drafts[i]}
+                      previous={comparedSets.get(set.id)}
+                      label={comparison.mode === 'best' ? 'best' : 'last'}
+                      unit={unit}
+                    />
+                  )}
+                  {records.has(set.id) && (
+                    <div className="pr-flag">
+                      PR · {records.get(set.id).map((kind) => RECORD_LABELS[kind]).join(' · ')}
+                    </div>
+                  )}
                 </div>
               )
             })}
@@ -252,16 +512,30 @@ export default function ExercisePage() {
           </div>
         )}
 
+        {mode === 'coach' && <TrainingMaxEditor block={block} exercise={exercise} onChange={load} />}
+
+        {mode === 'coach' && <WarmupEditor exercise={exercise} onChange={commitWarmupScheme} />}
+
+        {mode === 'coach' && <ProgressionEditor exercise={exercise} onChange={load} />}
+
+        <PersonalRecords sessions={history} />
+
+        {editingPlates && (
+          <PlateSettingsModal settings={plateSettings} onSave={savePlates} onClose={() => setEditingPlates(false)} />
+        )}
+
         {nextExercise && (
           <button
             className="next-exercise-btn"
             onClick={() =>
-              navigate(`/blocks/${blockId}/weeks/${weekId}/days/${dayId}/exercises/${nextExercise.id}`)
+              navigate(`/blocks/${blockId}/weeks/${weekId}/days/${dayId}/exercises/${nextExercise.exercise.id}`)
             }
           >
             <span className="next-exercise-text">
-              <span className="next-exercise-label">Next exercise</span>
-              <span className="next-exercise-name">{nextExercise.name}</span>
+              <span className="next-exercise-label">
+                {nextExercise.inGroup ? `Next in superset · set ${nextExercise.setNumber}` : 'Next exercise'}
+              </span>
+              <span className="next-exercise-name">{nextExercise.exercise.name}</span>
             </span>
             <span className="next-exercise-arrow">
               <ArrowRightIcon />
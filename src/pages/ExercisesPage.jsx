@@ -3,11 +3,15 @@ import { useNavigate, useParams } from 'react-router-dom'
 import Header from '../components/Header.jsx'
 import EntityRow from '../components/EntityRow.jsx'
 import RenameModal from '../components/RenameModal.jsx'
+import { useMode } from '../ModeContext.jsx'
+import { exerciseBadges } from '../grouping.js'
+import { formatDay, formatDuration, formatTime } from '../dates.js'
 import * as db from '../db.js'
 
 export default function ExercisesPage() {
   const { blockId, weekId, dayId } = useParams()
   const navigate = useNavigate()
+  const { mode } = useMode()
   const [block, setBlock] = useState(null)
   const [week, setWeek] = useState(null)
   const [day, setDay] = useState(null)
@@ -32,12 +36,38 @@ export default function ExercisesPage() {
     e.preventDefault()
     const trimmed = name.trim()
     if (!trimmed) return
-    await db.addExercise(dayId, trimmed)
-    await db.addLibraryExercise(trimmed)
+    const resolved = await db.resolveExerciseName(trimmed)
+    await db.addExercise(dayId, resolved)
+    await db.addLibraryExercise(resolved)
     setName('')
     load()
   }
 
+  async function handleStart() {
+    await db.startDay(dayId)
+    load()
+  }
+
+  async function handleFinish() {
+    await db.finishDay(dayId)
+    load()
+  }
+
+  async function handleResume() {
+    await db.resumeDay(dayId)
+    load()
+  }
+
+  async function handleMove(exercise, direction) {
+    await db.moveExercise(exercise.id, direction)
+    load()
+  }
+
+  async function handleToggleLink(exercise) {
+    await db.updateExerciseGrouping(exercise.id, !exercise.groupedWithPrevious)
+    load()
+  }
+
   async function handleDelete(exercise) {
     if (!confirm(`Delete "${exercise.name}" and all its logged sets?`)) return
     await db.deleteExercise(exercise.id)
@@ -46,10 +76,43 @@ export default function ExercisesPage() {
 
   if (!block || !week || !day) return null
 
+  const badges = exerciseBadges(exercises)
+
   return (
     <>
       <Header breadcrumb={`${block.name} › Week ${week.weekNumber} › ${day.name}`} title="Exercises" />
       <div className="main">
+        {mode === 'train' && (
+          <div className="card session-card">
+            {!day.startedAt && (
+              <button className="btn full" onClick={handleStart}>
+                Start workout
+              </button>
+            )}
+            {day.startedAt && !day.finishedAt && (
+              <>
+                <div className="hint">
+                  {formatDay(day.startedAt)} · started {formatTime(day.startedAt)}
+                </div>
+                <button className="btn full" onClick={handleFinish}>
+                  Finish workout
+                </button>
+              </>
+            )}
+            {day.finishedAt && (
+              <div className="session-summary">
+                <span>
+                  {formatDay(day.startedAt)} · {formatTime(day.startedAt)}–{formatTime(day.finishedAt)}
+                  <span className="set-rpe"> · {formatDuration(day.startedAt, day.finishedAt)}</span>
+                </span>
+                <button className="btn secondary" onClick={handleResume}>
+                  Resume
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
         <form className="add-form" onSubmit={handleAdd}>
           <input
             placeholder="Exercise name (pick or type new)"
@@ -61,22 +124,36 @@ export default function ExercisesPage() {
             {library.map((entry) => (
               <option key={entry.id} value={entry.name} />
             ))}
+            {library.flatMap((entry) =>
+              (entry.aliases ?? []).map((alias) => (
+                <option key={`${entry.id}:${alias}`} value={alias} label={entry.name} />
+              ))
+            )}
           </datalist>
           <button className="btn" type="submit">
             Add
           </button>
         </form>
 
+        {exercises.length > 1 && (
+          <div className="hint">Tap the link button on an exercise to superset it with the one above (A1, A2…).</div>
+        )}
+
         <div className="list">
           {exercises.length === 0 && <div className="empty-state">No exercises yet. Add your first one above.</div>}
           {exercises.map((exercise, i) => (
             <EntityRow
               key={exercise.id}
-              badge={String.fromCharCode(65 + i)}
+              badge={badges[i]}
               label={exercise.name}
+              linked={i > 0 && exercise.groupedWithPrevious}
+              onLink={i > 0 ? () => handleToggleLink(exercise) : undefined}
               onOpen={() => navigate(`/blocks/${blockId}/weeks/${weekId}/days/${dayId}/exercises/${exercise.id}`)}
               onRename={() => setRenaming(exercise)}
               onDelete={() => handleDelete(exercise)}
+              reorder
+              onMoveUp={i > 0 ? () => handleMove(exercise, -1) : null}
+              onMoveDown={i < exercises.length - 1 ? () => handleMove(exercise, 1) : null}
             />
           ))}
         </div>
@@ -0,0 +1,130 @@
+import { useEffect, useState } from 'react'
+import { useNavigate, useParams } from 'react-router-dom'
+import Header from '../components/Header.jsx'
+import ProgressChart from '../components/ProgressChart.jsx'
+import MuscleTagsEditor from '../components/MuscleTagsEditor.jsx'
+import AliasEditor from '../components/AliasEditor.jsx'
+import MergeLibraryModal from '../components/MergeLibraryModal.jsx'
+import { formatWeight, topSet, totalVolume, weeklyProgress } from '../strength.js'
+import { useMode } from '../ModeContext.jsx'
+import { convertWeight, displaySetWeight } from '../units.js'
+import { formatDay } from '../dates.js'
+import * as db from '../db.js'
+
+// Consecutive sessions from the same block share one heading. Sessions are
+// already newest-first (by training date), so this keeps blocks in date order
+// too.
+function groupByBlock(sessions) {
+  const groups = []
+  for (const session of sessions) {
+    const last = groups[groups.length - 1]
+    if (last && last.block.id === session.block.id) last.sessions.push(session)
+    else groups.push({ block: session.block, sessions: [session] })
+  }
+  return groups
+}
+
+export default function LibraryExercisePage() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const { unit } = useMode()
+  const [entry, setEntry] = useState(null)
+  const [sessions, setSessions] = useState([])
+  const [merging, setMerging] = useState(false)
+
+  async function load() {
+    const e = await db.getLibraryExercise(id)
+    setEntry(e)
+    setSessions(e ? await db.getExerciseHistory(e.normalizedName) : [])
+  }
+
+  useEffect(() => {
+    load()
+  }, [id])
+
+  if (!entry) return null
+
+  function openSession({ block, week, day, exercise }) {
+    navigate(`/blocks/${block.id}/weeks/${week.id}/days/${day.id}/exercises/${exercise.id}`)
+  }
+
+  async function handleMerge(target) {
+    await db.mergeLibraryExercises(entry.id, target.id)
+    setMerging(false)
+    navigate(`/library/${target.id}`, { replace: true })
+  }
+
+  const points = weeklyProgress(sessions)
+  const weight = (kg) => `${formatWeight(convertWeight(kg, 'kg', unit))} ${unit}`
+  const charts = [
+    { title: 'Total volume', value: (p) => p.volume, format: (v) => `${Math.round(convertWeight(v, 'kg', unit))} ${unit}` },
+    { title: 'Top set', value: (p) => p.topWeight, format: weight },
+    { title: 'Best e1RM', value: (p) => p.e1rm, format: weight },
+    { title: 'Average RPE', value: (p) => p.avgRpe, format: (v) => (Math.round(v * 10) / 10).toFixed(1) },
+  ]
+
+  return (
+    <>
+      <Header breadcrumb="Exercise Library" title={entry.name} />
+      <div className="main">
+        <AliasEditor entry={entry} onChange={load} />
+        <MuscleTagsEditor entry={entry} onChange={load} />
+        {sessions.length === 0 && (
+          <div className="empty-state">This exercise hasn't been added to any training day yet.</div>
+        )}
+        {points.length > 0 && (
+          <>
+            <div className="hint">Per training week, completed sets only. Tap a point to open that session.</div>
+            {charts.map((chart) => (
+              <ProgressChart
+                key={chart.title}
+                {...chart}
+                points={points}
+                onSelect={(point) => openSession(point.session)}
+              />
+            ))}
+          </>
+        )}
+        {groupByBlock(sessions).map((group) => (
+          <div className="list" key={group.block.id}>
+            <div className="section-title">{group.block.name}</div>
+            {group.sessions.map((session) => {
+              const top = topSet(session.sets)
+              return (
+                <div className="card history-session" key={session.exercise.id}>
+                  <button className="history-session-head" onClick={() => openSession(session)}>
+                    <span>
+                      Week {session.week.weekNumber} · {session.day.name}
+                      {session.exercise.normalizedName !== entry.normalizedName && ` · as ${session.exercise.name}`}
+                    </span>
+                    <span className="hint">{session.trainedAt ? formatDay(session.trainedAt) : 'Not trained yet'}</span>
+                  </button>
+                  {session.sets.length === 0 && <div className="hint">No sets.</div>}
+                  {session.sets.map((set, i) => (
+                    <div className="set-row" key={set.id}>
+                      <span className="set-index">{i + 1}</span>
+                      <span className="set-values">
+                        {displaySetWeight(set, unit) ?? '-'} × {set.reps ?? '-'}
+                        {set.rpe != null && <span className="set-rpe"> @ RPE {set.rpe}</span>}
+                      </span>
+                      {!set.completed && <span className="set-rpe">not done</span>}
+                    </div>
+                  ))}
+                  <div className="hint">
+                    Top set: {top ? `${displaySetWeight(top, unit)} ${unit} × ${top.reps}` : '-'} · Volume:{' '}
+                    {Math.round(convertWeight(totalVolume(session.sets), 'kg', unit))} {unit}
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        ))}
+        <button className="btn secondary full" onClick={() => setMerging(true)}>
+          Merge into another exercise
+        </button>
+      </div>
+
+      {merging && <MergeLibraryModal entry={entry} onMerge={handleMerge} onClose={() => setMerging(false)} />}
+    </>
+  )
+}
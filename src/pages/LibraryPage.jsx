@@ -1,10 +1,12 @@
 import { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
 import Header from '../components/Header.jsx'
 import EntityRow from '../components/EntityRow.jsx'
 import RenameModal from '../components/RenameModal.jsx'
 import * as db from '../db.js'
 
 export default function LibraryPage() {
+  const navigate = useNavigate()
   const [entries, setEntries] = useState([])
   const [name, setName] = useState('')
   const [renaming, setRenaming] = useState(null)
@@ -55,6 +57,7 @@ export default function LibraryPage() {
             <EntityRow
               key={entry.id}
               label={entry.name}
+              onOpen={() => navigate(`/library/${entry.id}`)}
               onRename={() => setRenaming(entry)}
               onDelete={() => handleDelete(entry)}
             />
@@ -68,7 +71,18 @@ export default function LibraryPage() {
           initialValue={renaming.name}
           onClose={() => setRenaming(null)}
           onSave={async (value) => {
-            await db.updateLibraryExercise(renaming.id, value)
+            const count = await db.countExercisesByName(renaming.normalizedName)
+            const propagate =
+              count > 0 &&
+              confirm(
+                `Also rename the ${count} logged ${count === 1 ? 'exercise' : 'exercises'} called "${renaming.name}"? Cancel renames only the library entry, and its history stays under the old name.`
+              )
+            try {
+              await db.updateLibraryExercise(renaming.id, value, { propagate })
+            } catch (err) {
+              alert(err.message)
+              return
+            }
             setRenaming(null)
             load()
           }}
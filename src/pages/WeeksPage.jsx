@@ -3,15 +3,27 @@ import { useNavigate, useParams } from 'react-router-dom'
 import Header from '../components/Header.jsx'
 import EntityRow from '../components/EntityRow.jsx'
 import RenameModal from '../components/RenameModal.jsx'
+import CopyWeekModal from '../components/CopyWeekModal.jsx'
+import ScheduleModal from '../components/ScheduleModal.jsx'
+import { CalendarIcon, DownloadIcon } from '../components/Icons.jsx'
+import { downloadFile, fileDateStamp } from '../download.js'
+import { toCsv } from '../csv.js'
+import { useMode } from '../ModeContext.jsx'
+import { WEEKDAY_LABELS } from '../schedule.js'
+import { formatDay } from '../dates.js'
 import * as db from '../db.js'
 
 export default function WeeksPage() {
   const { blockId } = useParams()
   const navigate = useNavigate()
+  const { unit } = useMode()
   const [block, setBlock] = useState(null)
   const [weeks, setWeeks] = useState([])
   const [weekNumber, setWeekNumber] = useState('')
   const [renaming, setRenaming] = useState(null)
+  const [copyPreview, setCopyPreview] = useState(null)
+  const [savingTemplate, setSavingTemplate] = useState(false)
+  const [scheduling, setScheduling] = useState(false)
 
   async function load() {
     setBlock(await db.getBlock(blockId))
@@ -38,21 +50,48 @@ export default function WeeksPage() {
     // there's always a "base" to build from.
     const earlierWeeks = weeks.filter((w) => w.weekNumber < num).sort((a, b) => b.weekNumber - a.weekNumber)
     const sourceWeek = earlierWeeks[0] ?? weeks.slice().sort((a, b) => a.weekNumber - b.weekNumber)[0]
-    if (
-      sourceWeek &&
-      confirm(`Copy the plan from Week ${sourceWeek.weekNumber} (days, exercises, and set targets)? You can tweak the numbers afterward.`)
-    ) {
-      await db.copyWeekStructure(sourceWeek.id, newWeek.id)
+    if (sourceWeek) {
+      // If any exercise has a progression rule, show the progressed targets
+      // first; otherwise a plain confirm is enough.
+      const plan = await db.planWeekCopy(sourceWeek.id, { progression: true })
+      if (plan.some((d) => d.exercises.some((e) => e.exercise.progression))) {
+        setCopyPreview({ sourceWeek, newWeek, plan })
+        load()
+        return
+      }
+      if (
+        confirm(`Copy the plan from Week ${sourceWeek.weekNumber} (days, exercises, and set targets)? You can tweak the numbers afterward.`)
+      ) {
+        await db.copyWeekStructure(sourceWeek.id, newWeek.id)
+      }
     }
     load()
   }
 
+  async function handleCopy(progression) {
+    await db.copyWeekStructure(copyPreview.sourceWeek.id, copyPreview.newWeek.id, { progression })
+    setCopyPreview(null)
+    load()
+  }
+
   async function handleDelete(week) {
     if (!confirm(`Delete Week ${week.weekNumber} and everything inside it?`)) return
     await db.deleteWeek(week.id)
     load()
   }
 
+  async function handleSaveSchedule(schedule) {
+    await db.updateBlockSchedule(blockId, schedule)
+    setScheduling(false)
+    load()
+  }
+
+  async function handleExportCsv() {
+    const rows = await db.getSetExportRows(blockId, unit)
+    const slug = block.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'block'
+    downloadFile(`${slug}-sets-${fileDateStamp()}.csv`, toCsv(db.SET_EXPORT_COLUMNS, rows), 'text/csv')
+  }
+
   if (!block) return null
 
   return (
@@ -83,6 +122,31 @@ export default function WeeksPage() {
             />
           ))}
         </div>
+
+        <button className="btn secondary full" onClick={() => setScheduling(true)}>
+          <span className="btn-label">
+            <CalendarIcon />
+            {block.schedule
+              ? `From ${formatDay(block.schedule.startDate)} · ${[...block.schedule.weekdays]
+                  .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+                  .map((w) => WEEKDAY_LABELS[w])
+                  .join('/')}`
+              : 'Schedule on calendar'}
+          </span>
+        </button>
+
+        {weeks.length > 0 && (
+          <div className="button-row">
+            <button className="btn secondary full" onClick={() => setSavingTemplate(true)}>
+              Save as template
+            </button>
+            <button className="btn secondary full" onClick={handleExportCsv}>
+              <span className="btn-label">
+                <DownloadIcon /> Export sets (CSV)
+              </span>
+            </button>
+          </div>
+        )}
       </div>
 
       {renaming && (
@@ -100,6 +164,37 @@ export default function WeeksPage() {
           }}
         />
       )}
+
+      {savingTemplate && (
+        <RenameModal
+          title="Save block as template"
+          initialValue={block.name}
+          onClose={() => setSavingTemplate(false)}
+          onSave={async (value) => {
+            await db.saveBlockAsTemplate(blockId, value)
+            setSavingTemplate(false)
+            alert(`Saved "${value}". Start a new block from it on the home screen.`)
+          }}
+        />
+      )}
+
+      {scheduling && (
+        <ScheduleModal
+          block={block}
+          onSave={handleSaveSchedule}
+          onClear={() => handleSaveSchedule(null)}
+          onClose={() => setScheduling(false)}
+        />
+      )}
+
+      {copyPreview && (
+        <CopyWeekModal
+          sourceWeek={copyPreview.sourceWeek}
+          plan={copyPreview.plan}
+          onCopy={handleCopy}
+          onClose={() => setCopyPreview(null)}
+        />
+      )}
     </>
   )
 }
@@ -0,0 +1,98 @@
+// Plate loading: which plates go on each side of the bar for a load, given
+// the bar weight and the gym's plate inventory. The inventory is a device
+// setting (localStorage, like the mode and unit toggles), not part of the
+// training data, so it isn't in backups.
+
+const STORAGE_KEY = 'training-log.plates'
+
+// Inventory counts are pairs (one plate per side), which is how plates get
+// loaded. Weights are in the settings' own unit, independent of the display
+// unit: a kg gym stays a kg gym when the app shows lb.
+export const DEFAULT_PLATE_SETTINGS = {
+  kg: {
+    unit: 'kg',
+    bar: 20,
+    plates: [
+      { weight: 25, pairs: 4 },
+      { weight: 20, pairs: 2 },
+      { weight: 15, pairs: 1 },
+      { weight: 10, pairs: 1 },
+      { weight: 5, pairs: 1 },
+      { weight: 2.5, pairs: 1 },
+      { weight: 1.25, pairs: 1 },
+    ],
+  },
+  lb: {
+    unit: 'lb',
+    bar: 45,
+    plates: [
+      { weight: 45, pairs: 4 },
+      { weight: 35, pairs: 1 },
+      { weight: 25, pairs: 1 },
+      { weight: 10, pairs: 2 },
+      { weight: 5, pairs: 1 },
+      { weight: 2.5, pairs: 1 },
+    ],
+  },
+}
+
+function isValidSettings(settings) {
+  return (
+    settings &&
+    (settings.unit === 'kg' || settings.unit === 'lb') &&
+    settings.bar >= 0 &&
+    Array.isArray(settings.plates) &&
+    settings.plates.every((p) => p.weight > 0 && Number.isInteger(p.pairs) && p.pairs >= 0)
+  )
+}
+
+// Saved settings, or the defaults for the display unit when there are none
+// (or they're unreadable).
+export function loadPlateSettings(unit = 'kg') {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    if (isValidSettings(saved)) return saved
+  } catch {
+    // fall through to defaults
+  }
+  return DEFAULT_PLATE_SETTINGS[unit]
+}
+
+export function savePlateSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+}
+
+// Hundredths, so 1.25 kg plates add up without float drift.
+const SCALE = 100
+
+// Plates per side for `target` (in settings.unit), heaviest first. When the
+// exact load can't be built from the inventory, returns the closest load
+// that can (the lighter one on a tie). Below the bar's own weight the answer
+// is the empty bar.
+//   → { total, perSide: [weights], exact }
+export function plateLoad(target, { bar, plates }) {
+  // Every per-side sum the inventory can make, mapped to the fewest plates
+  // making it (heavier plates are tried first, so they win a tie).
+  const reachable = new Map([[0, []]])
+  for (const { weight, pairs } of [...plates].sort((a, b) => b.weight - a.weight)) {
+    const step = Math.round(weight * SCALE)
+    for (const [sum, onSide] of [...reachable]) {
+      for (let k = 1; k <= pairs; k++) {
+        const next = sum + k * step
+        const current = reachable.get(next)
+        if (!current || current.length > onSide.length + k) reachable.set(next, [...onSide, ...Array(k).fill(weight)])
+      }
+    }
+  }
+
+  const wanted = ((target - bar) / 2) * SCALE
+  let best = 0
+  for (const sum of reachable.keys()) {
+    const diff = Math.abs(sum - wanted)
+    const bestDiff = Math.abs(best - wanted)
+    if (diff < bestDiff || (diff === bestDiff && sum < best)) best = sum
+  }
+
+  const total = Math.round((bar + (2 * best) / SCALE) * SCALE) / SCALE
+  return { total, perSide: reachable.get(best), exact: Math.abs(total - target) < 0.005 }
+}
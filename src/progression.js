@@ -0,0 +1,116 @@
+// Per-exercise progression rules, applied to an exercise's set targets when a
+// week is copied forward (see copyWeekStructure in db.js). A rule is a plain
+// object stored on the exercise record as `progression`:
+//
+//   { type: 'weight', weightStep: 2.5, unit: 'kg', requireAllHit }
+//       add weightStep (in `unit`) to every set's targetWeight.
+//   { type: 'reps', repsFrom: 8, repsTo: 12, weightStep: 2.5, unit: 'kg', requireAllHit }
+//       double progression: +1 rep per week until repsTo, then reset to
+//       repsFrom and add weightStep. The rep counts apply to the bottom of
+//       the target range; a range (8-10) keeps its width as it moves.
+//   { type: 'rpe', rpeStep: 0.5, rpeMax: 10 }
+//       raise targetRPE by rpeStep, capped at rpeMax.
+//
+// With requireAllHit, the rule only fires if every working set (warm-ups
+// don't count) of the source week was completed for at least its top target
+// reps at or below its target RPE; otherwise the targets are copied
+// unchanged ("held").
+//
+// Warm-up sets are copied unchanged; generated ramps follow the top set on
+// their own (src/warmups.js). Sets prescribed as a percentage of the training
+// max (targetPercent) are left alone by the kg steps — they progress by
+// raising the training max.
+
+import { roundToIncrement } from './strength.js'
+import { DEFAULT_INCREMENT, convertWeight } from './units.js'
+
+export const PROGRESSION_TYPES = {
+  weight: 'Add weight',
+  reps: 'Add reps, then weight',
+  rpe: 'Raise RPE',
+}
+
+export function defaultRule(type, unit = 'kg') {
+  const weightStep = DEFAULT_INCREMENT[unit]
+  if (type === 'weight') return { type, weightStep, unit, requireAllHit: false }
+  if (type === 'reps') return { type, repsFrom: 8, repsTo: 12, weightStep, unit, requireAllHit: false }
+  if (type === 'rpe') return { type, rpeStep: 0.5, rpeMax: 10 }
+  return null
+}
+
+export function describeRule(rule) {
+  if (!rule) return 'None'
+  const suffix = rule.requireAllHit ? ' (only if every set was hit)' : ''
+  const unit = rule.unit ?? 'kg'
+  if (rule.type === 'weight') return `+${rule.weightStep} ${unit} per week${suffix}`
+  if (rule.type === 'reps')
+    return `+1 rep per week from ${rule.repsFrom} to ${rule.repsTo}, then +${rule.weightStep} ${unit}${suffix}`
+  if (rule.type === 'rpe') return `RPE +${rule.rpeStep} per week, up to ${rule.rpeMax}`
+  return 'None'
+}
+
+function setHitTarget(set) {
+  const targetReps = set.targetRepsMax ?? set.targetRepsMin
+  if (!set.completed) return false
+  if (targetReps != null && !(set.reps >= targetReps)) return false
+  if (set.targetRPE != null && set.rpe != null && set.rpe > set.targetRPE) return false
+  return true
+}
+
+function targetsOf(set) {
+  return {
+    targetRepsMin: set.targetRepsMin,
+    targetRepsMax: set.targetRepsMax,
+    targetRPE: set.targetRPE,
+    targetWeight: set.targetWeight,
+    targetWeightUnit: set.targetWeightUnit ?? 'kg',
+    targetPercent: set.targetPercent ?? null,
+    setType: set.setType ?? 'working',
+    generatedWarmup: set.generatedWarmup ?? false,
+  }
+}
+
+// Rounded to 0.01 so a step doesn't leave float noise in the stored target.
+// A step converted from the other unit (5 lb onto a kg target) would land
+// between plates, so it's rounded to the target unit's increment instead,
+// moving at least one increment so a small step doesn't round to nothing.
+function addWeight(weight, step, unit, converted) {
+  if (!converted) return Math.round((weight + step) * 100) / 100
+  const increment = DEFAULT_INCREMENT[unit]
+  return Math.max(roundToIncrement(weight + step, increment), roundToIncrement(weight, increment) + increment)
+}
+
+function progressSet(rule, set) {
+  const next = targetsOf(set)
+  if (next.setType === 'warmup') return next
+  const fixedWeight = next.targetWeight != null && next.targetPercent == null
+  // The step is converted into the unit the set's target was written in.
+  const converted = (rule.unit ?? 'kg') !== next.targetWeightUnit
+  const step = rule.weightStep && convertWeight(rule.weightStep, rule.unit ?? 'kg', next.targetWeightUnit)
+  const progressWeight = () => addWeight(next.targetWeight, step, next.targetWeightUnit, converted)
+  if (rule.type === 'weight') {
+    if (fixedWeight) next.targetWeight = progressWeight()
+  } else if (rule.type === 'reps') {
+    const reps = next.targetRepsMin ?? rule.repsFrom
+    const width = next.targetRepsMin != null ? (next.targetRepsMax ?? reps) - reps : 0
+    if (reps < rule.repsTo) {
+      next.targetRepsMin = reps + 1
+    } else {
+      next.targetRepsMin = rule.repsFrom
+      if (fixedWeight) next.targetWeight = progressWeight()
+    }
+    next.targetRepsMax = next.targetRepsMin + width
+  } else if (rule.type === 'rpe') {
+    if (next.targetRPE != null) next.targetRPE = Math.min(next.targetRPE + rule.rpeStep, rule.rpeMax)
+  }
+  return next
+}
+
+// Returns { targets, held }: the targets to create in the new week (one per
+// source set, in order) and whether a requireAllHit rule held them back.
+export function applyProgression(rule, sets) {
+  if (!rule) return { targets: sets.map(targetsOf), held: false }
+  const working = sets.filter((s) => s.setType !== 'warmup')
+  if (rule.requireAllHit && !working.every(setHitTarget)) return { targets: sets.map(targetsOf), held: true }
+  return { targets: sets.map((set) => progressSet(rule, set)), held: false }
+}
@@ -0,0 +1,73 @@
+// Training calendar. A block's schedule maps its days onto dates; nothing is
+// stored per day — a day's date is worked out from its week number and its
+// position in the week:
+//
+//   block.schedule = { startDate: 'YYYY-MM-DD', weekdays: [1, 3, 5],
+//                      shifts: [{ from: 'YYYY-MM-DD', days }] }
+//
+// Week N starts startDate + 7·(N-1) days. The week's first day lands on the
+// first picked weekday on or after that, the second on the next one, and so
+// on (weekdays as Date.getDay: 0 = Sunday). Days beyond the picked weekdays
+// stay unscheduled. A shift moves every session originally planned on or
+// after `from` later by `days` — a missed session pushes the rest of the
+// block back. Shifts add up, and are keyed on the unshifted date so their
+// order doesn't matter.
+
+import { localDate, toDate } from './dates.js'
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+export function addDays(value, days) {
+  const date = toDate(value)
+  date.setDate(date.getDate() + days)
+  return localDate(date)
+}
+
+export function daysBetween(from, to) {
+  return Math.round((toDate(to) - toDate(from)) / 86400000)
+}
+
+export function weekdayOf(value) {
+  return toDate(value).getDay()
+}
+
+// The date a day was originally planned for, before any shifts.
+export function plannedDate(schedule, weekNumber, dayIndex) {
+  const weekStart = addDays(schedule.startDate, 7 * (weekNumber - 1))
+  const startWeekday = weekdayOf(weekStart)
+  const offsets = schedule.weekdays.map((w) => (w - startWeekday + 7) % 7).sort((a, b) => a - b)
+  if (dayIndex >= offsets.length) return null
+  return addDays(weekStart, offsets[dayIndex])
+}
+
+export function scheduledDate(schedule, weekNumber, dayIndex) {
+  const planned = plannedDate(schedule, weekNumber, dayIndex)
+  if (!planned) return null
+  const shift = (schedule.shifts ?? []).filter((s) => s.from <= planned).reduce((sum, s) => sum + s.days, 0)
+  return addDays(planned, shift)
+}
+
+// Sessions from db.getCalendarSessions: { block, week, day, planned, date }.
+// A started day counts as trained, on the date it was actually started.
+export function sessionStatus(session, today = localDate()) {
+  if (session.day.startedAt) return 'completed'
+  return session.date < today ? 'missed' : 'scheduled'
+}
+
+export function calendarDate(session) {
+  return session.day.startedAt ? localDate(session.day.startedAt) : session.date
+}
+
+// What the home screen's Today card shows: the unfinished session for today
+// (one already started first), else the next unfinished one after today,
+// plus the scheduled sessions that were missed.
+export function todaySessions(sessions, today = localDate()) {
+  const unfinished = sessions.filter((s) => s.date && !s.day.finishedAt)
+  const byDate = (a, b) => a.date.localeCompare(b.date)
+  const current =
+    unfinished.find((s) => s.day.startedAt && calendarDate(s) === today) ??
+    unfinished.filter((s) => !s.day.startedAt && s.date === today).sort(byDate)[0]
+  const next = current ? null : unfinished.filter((s) => !s.day.startedAt && s.date > today).sort(byDate)[0]
+  const missed = unfinished.filter((s) => sessionStatus(s, today) === 'missed').sort(byDate)
+  return { current: current ?? null, next: next ?? null, missed }
+}
@@ -0,0 +1,295 @@
+// Pure per-set / per-session metrics shared by the comparison panel, the
+// library history view and anything else that summarizes logged sets.
+// Everything is computed in kg (sets may be logged in either unit, see
+// src/units.js); callers convert results for display.
+
+import { DEFAULT_INCREMENT, convertWeight, setWeightKg } from './units.js'
+
+// --- Set types ---
+//
+// set.setType labels a set's role. Sets written before types existed have
+// none and count as 'working'. Warm-ups are left out of every metric here
+// (volume, top set, e1RM, records) so ramping up never inflates a session.
+
+export const SET_TYPES = {
+  warmup: 'Warm-up',
+  working: 'Working',
+  top: 'Top set',
+  backoff: 'Back-off',
+  drop: 'Drop set',
+  amrap: 'AMRAP',
+}
+
+export function isWarmup(set) {
+  return set.setType === 'warmup'
+}
+
+export function totalVolume(sets) {
+  return sets.reduce((sum, s) => (isWarmup(s) ? sum : sum + setWeightKg(s) * s.reps), 0)
+}
+
+// Heaviest non-warm-up set that has both a weight and reps logged; ties go
+// to the set with more reps. Null if nothing has been logged yet.
+export function topSet(sets) {
+  let best = null
+  for (const set of sets) {
+    if (isWarmup(set) || set.weight == null || !set.reps) continue
+    const weight = setWeightKg(set)
+    const bestWeight = best && setWeightKg(best)
+    if (!best || weight > bestWeight || (weight === bestWeight && set.reps > best.reps)) best = set
+  }
+  return best
+}
+
+// --- Estimated one-rep max ---
+//
+// Epley and Brzycki are the usual rep-based formulas; they ignore effort, so
+// a grinding 5 and an easy 5 estimate the same max. The RPE-adjusted variant
+// reads the set as "reps done + reps left in the tank" and looks that up in
+// the RTS RPE chart (% of 1RM you can lift for N reps to failure), which is
+// the same chart load suggestions use going the other way.
+
+// % of 1RM for 1..16 reps to failure (RTS chart, RPE 10 column, extended).
+const REPS_TO_FAILURE_PERCENT = [100, 95.5, 92.2, 89.2, 86.3, 83.7, 81.1, 78.6, 76.2, 73.9, 70.7, 68, 65.3, 62.6, 59.9, 57.3]
+
+// Fraction of 1RM that can be lifted for `reps` at `rpe`, linearly
+// interpolated for half-RPE steps. Null outside the chart.
+export function rpePercent(reps, rpe) {
+  if (!(reps >= 1) || !(rpe >= 5) || rpe > 10) return null
+  const toFailure = reps + (10 - rpe)
+  if (toFailure > REPS_TO_FAILURE_PERCENT.length) return null
+  const lower = Math.floor(toFailure)
+  const upper = Math.ceil(toFailure)
+  const pct =
+    REPS_TO_FAILURE_PERCENT[lower - 1] +
+    (REPS_TO_FAILURE_PERCENT[upper - 1] - REPS_TO_FAILURE_PERCENT[lower - 1]) * (toFailure - lower)
+  return pct / 100
+}
+
+export function epley(weight, reps) {
+  return reps === 1 ? weight : weight * (1 + reps / 30)
+}
+
+export function brzycki(weight, reps) {
+  return reps >= 37 ? null : (weight * 36) / (37 - reps)
+}
+
+export function rpeAdjusted(weight, reps, rpe) {
+  const pct = rpePercent(reps, rpe)
+  return pct ? weight / pct : null
+}
+
+export function oneRepMaxEstimates(set) {
+  if (!(set.weight > 0) || !(set.reps >= 1)) return null
+  const weight = setWeightKg(set)
+  return {
+    epley: epley(weight, set.reps),
+    brzycki: brzycki(weight, set.reps),
+    rpe: set.rpe != null ? rpeAdjusted(weight, set.reps, set.rpe) : null,
+  }
+}
+
+// The single e1RM used for records and suggestions: RPE-adjusted when the
+// set has a usable RPE, Epley otherwise.
+export function e1rm(set) {
+  const estimates = oneRepMaxEstimates(set)
+  if (!estimates) return null
+  return estimates.rpe ?? estimates.epley
+}
+
+// --- Personal records ---
+//
+// Only completed, non-warm-up sets with a weight and reps count. A rep-max
+// is the heaviest weight done for exactly that many reps; the e1RM record is
+// the highest e1rm() of any set.
+
+function isLogged(set) {
+  return set.completed && !isWarmup(set) && set.weight > 0 && set.reps >= 1
+}
+
+export function personalRecords(sets) {
+  const repMaxes = new Map()
+  let bestE1rm = null
+  for (const set of sets) {
+    if (!isLogged(set)) continue
+    const current = repMaxes.get(set.reps)
+    if (!current || setWeightKg(set) > setWeightKg(current)) repMaxes.set(set.reps, set)
+    const value = e1rm(set)
+    if (!bestE1rm || value > bestE1rm.value) bestE1rm = { value, set }
+  }
+  return { repMaxes, bestE1rm }
+}
+
+// Walks `sets` in order against everything in `priorSets` (plus the sets
+// before it) and returns, for each set that beat a record, which ones:
+// 'rep' if it's heavier than anything done for at least as many reps, 'e1rm'
+// if its e1RM beats the best so far. Nothing is flagged until there's
+// some history to beat, so a first-ever session isn't all PRs.
+export function newRecords(priorSets, sets) {
+  const flagged = new Map()
+  const seen = priorSets.filter(isLogged)
+  for (const set of sets) {
+    if (!isLogged(set)) continue
+    if (seen.length > 0) {
+      const kinds = []
+      const heaviestAtLeast = Math.max(0, ...seen.filter((s) => s.reps >= set.reps).map(setWeightKg))
+      if (setWeightKg(set) > heaviestAtLeast) kinds.push('rep')
+      if (e1rm(set) > personalRecords(seen).bestE1rm.value) kinds.push('e1rm')
+      if (kinds.length > 0) flagged.set(set.id, kinds)
+    }
+    seen.push(set)
+  }
+  return flagged
+}
+
+export function formatWeight(value) {
+  return String(Math.round(value * 10) / 10)
+}
+
+// --- Load suggestions ---
+//
+// The inverse of the RPE-adjusted e1RM: given an e1RM (kg) and a
+// prescription of reps @ RPE, the chart says what fraction of that max to
+// load. The result is in `unit`, rounded to that unit's usual increment.
+
+export function roundToIncrement(value, increment = 2.5) {
+  return Math.round(value / increment) * increment
+}
+
+export function suggestLoad(oneRepMaxKg, reps, rpe, unit = 'kg') {
+  const pct = rpePercent(reps, rpe)
+  return pct ? roundToIncrement(convertWeight(oneRepMaxKg * pct, 'kg', unit), DEFAULT_INCREMENT[unit]) : null
+}
+
+// Best e1RM among the completed sets of one session, or null.
+export function sessionE1rm(sets) {
+  const values = sets.filter(isLogged).map(e1rm)
+  return values.length ? Math.max(...values) : null
+}
+
+// --- Ranking sessions for "Best" ---
+//
+// db.getBestWeekComparison ranks weeks by one of these. Volume sums the
+// whole week (an exercise done twice counts both times); the others take
+// the week's best set. `repsAtLoad` counts reps in sets at or above
+// `loadKg`. Every metric counts only completed sets (as records do), since
+// addSet pre-fills planned sets from their targets and an untrained week
+// with progressed targets would otherwise win.
+
+function hasLoad(set) {
+  return !isWarmup(set) && set.weight != null && set.reps >= 1
+}
+
+export const BEST_METRICS = {
+  volume: 'Total volume',
+  topSet: 'Heaviest top set',
+  e1rm: 'Best e1RM',
+  repsAtLoad: 'Most reps at a load',
+}
+
+// → { value, then, set } (`then` breaks ties, `set` is the deciding set,
+// absent for volume), or null if no set qualifies.
+export function bestMetric(sets, metric, loadKg) {
+  const logged = sets.filter(isLogged)
+  if (metric === 'volume') {
+    const value = totalVolume(logged)
+    return value > 0 ? { value, then: 0 } : null
+  }
+  if (metric === 'topSet') {
+    const set = topSet(logged)
+    return set && { value: setWeightKg(set), then: set.reps, set }
+  }
+  const candidates =
+    metric === 'e1rm'
+      ? logged.map((set) => ({ value: e1rm(set), then: 0, set }))
+      : logged
+          .filter((s) => loadKg != null && setWeightKg(s) >= loadKg - 0.01)
+          .map((set) => ({ value: set.reps, then: setWeightKg(set), set }))
+  return candidates.reduce((best, c) => (compareBestMetric(c, best) > 0 ? c : best), null)
+}
+
+// 1 if `a` ranks above `b`, -1 below, 0 tied; null ranks last.
+export function compareBestMetric(a, b) {
+  if (!a || !b) return a ? 1 : b ? -1 : 0
+  return Math.sign(a.value - b.value) || Math.sign(a.then - b.then)
+}
+
+// --- Against a comparison session ---
+//
+// Train mode lines today's sets up with the comparison session's (see
+// db.getLastWeekComparison and friends) by position among the non-warm-up
+// sets. Unlike records, a set counts as soon as it has numbers in it,
+// completed or not, so deltas follow along while the lifter types. Weight
+// deltas are in kg; callers convert.
+
+// → { weight, reps, volume }, each null when either side is missing it.
+export function setDelta(set, previous) {
+  const bothWeights = set.weight != null && previous.weight != null
+  const bothReps = set.reps != null && previous.reps != null
+  return {
+    weight: bothWeights ? setWeightKg(set) - setWeightKg(previous) : null,
+    reps: bothReps ? set.reps - previous.reps : null,
+    volume: bothWeights && bothReps ? setWeightKg(set) * set.reps - setWeightKg(previous) * previous.reps : null,
+  }
+}
+
+// Exercise-level summary: volume, top set and best e1RM, today vs the
+// comparison, each as { today, previous }. Null until both sides have a set
+// with weight and reps. Callers pass only today's completed sets, so planned
+// sets pre-filled from their targets don't count before they're done.
+export function sessionComparison(sets, previousSets) {
+  const today = sets.filter(hasLoad)
+  const previous = previousSets.filter(hasLoad)
+  if (today.length === 0 || previous.length === 0) return null
+  const bestE1rm = (list) => Math.max(...list.map(e1rm))
+  return {
+    volume: { today: totalVolume(today), previous: totalVolume(previous) },
+    topSet: { today: topSet(today), previous: topSet(previous) },
+    e1rm: { today: bestE1rm(today), previous: bestE1rm(previous) },
+  }
+}
+
+// 1 if top set `a` beats `b` (heavier, or as heavy for more reps), 0 for a
+// tie, -1 if it falls short.
+export function compareTopSets(a, b) {
+  const diff = setWeightKg(a) - setWeightKg(b)
+  if (diff !== 0) return Math.sign(diff)
+  return Math.sign(a.reps - b.reps)
+}
+
+// --- Progress over time ---
+//
+// One point per training week (a block's week, all of that week's sessions
+// of the exercise together) for the library charts, oldest first, from
+// db.getExerciseHistory sessions (newest first). Only completed sets count,
+// so planned-but-untrained weeks are left out rather than charted as zero.
+//   → [{ block, week, date, session, volume, topWeight, e1rm, avgRpe }]
+// `session` is the week's biggest session by volume, which a chart point
+// opens; `date` is its first training date (null for old untimed data).
+
+export function weeklyProgress(sessions) {
+  const byWeek = new Map()
+  for (const session of [...sessions].reverse()) {
+    const entry = byWeek.get(session.week.id) ?? { block: session.block, week: session.week, sessions: [] }
+    entry.sessions.push(session)
+    byWeek.set(session.week.id, entry)
+  }
+  const points = []
+  for (const { block, week, sessions: weekSessions } of byWeek.values()) {
+    const sets = weekSessions.flatMap((s) => s.sets.filter(isLogged))
+    if (sets.length === 0) continue
+    const volumeOf = (s) => totalVolume(s.sets.filter(isLogged))
+    const rpes = sets.map((s) => s.rpe).filter((rpe) => rpe != null)
+    points.push({
+      block,
+      week,
+      date: weekSessions.find((s) => s.trainedAt)?.trainedAt ?? null,
+      session: weekSessions.reduce((a, b) => (volumeOf(b) > volumeOf(a) ? b : a)),
+      volume: totalVolume(sets),
+      topWeight: setWeightKg(topSet(sets)),
+      e1rm: sessionE1rm(sets),
+      avgRpe: rpes.length ? rpes.reduce((sum, rpe) => sum + rpe, 0) / rpes.length : null,
+    })
+  }
+  return points
+}
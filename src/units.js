@@ -0,0 +1,41 @@
+// kg / lb. Every stored weight records the unit it was entered in
+// (set.weightUnit, set.targetWeightUnit; records from before units existed
+// have none and are kg, which the app used to hard-code). Nothing is ever
+// rewritten on a unit switch: metrics convert to kg to compare, and the UI
+// converts to the display unit chosen in the header (ModeContext).
+
+export const UNITS = ['kg', 'lb']
+
+const LB_PER_KG = 2.20462262
+
+// Sensible loading steps per unit, used wherever a computed load gets rounded.
+export const DEFAULT_INCREMENT = { kg: 2.5, lb: 5 }
+
+export function convertWeight(value, from = 'kg', to = 'kg') {
+  if (value == null) return null
+  if (from === to) return value
+  return from === 'kg' ? value * LB_PER_KG : value / LB_PER_KG
+}
+
+export function setWeightKg(set) {
+  return convertWeight(set.weight, set.weightUnit ?? 'kg', 'kg')
+}
+
+export function setTargetWeightKg(set) {
+  return convertWeight(set.targetWeight, set.targetWeightUnit ?? 'kg', 'kg')
+}
+
+// A weight converted for display, rounded to 0.1 so a converted value doesn't
+// show float noise (100 kg → 220.5 lb). Null stays null.
+export function displayWeight(value, from, to) {
+  const converted = convertWeight(value, from ?? 'kg', to)
+  return converted == null ? null : Math.round(converted * 10) / 10
+}
+
+export function displaySetWeight(set, unit) {
+  return displayWeight(set.weight, set.weightUnit, unit)
+}
+
+export function displayTargetWeight(set, unit) {
+  return displayWeight(set.targetWeight, set.targetWeightUnit, unit)
+}
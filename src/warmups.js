@@ -0,0 +1,87 @@
+// Warm-up ramps: sets that work up from the empty bar to an exercise's first
+// working set, as percentages of its target weight with fewer reps each
+// step. Loads are rounded to what the plate inventory can build
+// (src/plates.js), so every warm-up can actually be loaded.
+
+import { plateLoad } from './plates.js'
+import { convertWeight, setTargetWeightKg } from './units.js'
+
+// percent: null is the empty bar.
+export const WARMUP_SCHEMES = {
+  standard: {
+    label: 'Bar, 40 / 60 / 80%',
+    steps: [
+      { percent: null, reps: 10 },
+      { percent: 40, reps: 5 },
+      { percent: 60, reps: 3 },
+      { percent: 80, reps: 2 },
+    ],
+  },
+  short: {
+    label: 'Bar, 50 / 75%',
+    steps: [
+      { percent: null, reps: 8 },
+      { percent: 50, reps: 5 },
+      { percent: 75, reps: 2 },
+    ],
+  },
+  long: {
+    label: 'Bar, 30 / 50 / 70 / 85%',
+    steps: [
+      { percent: null, reps: 10 },
+      { percent: 30, reps: 8 },
+      { percent: 50, reps: 5 },
+      { percent: 70, reps: 3 },
+      { percent: 85, reps: 1 },
+    ],
+  },
+}
+
+// The set the ramp leads up to: the first one that isn't a warm-up.
+export function rampTopSet(sets) {
+  return sets.find((s) => s.setType !== 'warmup') ?? null
+}
+
+// Warm-up loads for `topWeight` (in settings.unit), lightest first. Steps
+// that round onto the previous step, or up to the top weight itself, are
+// dropped, so a light top set gets a shorter ramp.
+export function warmupRamp(topWeight, scheme, settings) {
+  const ramp = []
+  for (const { percent, reps } of WARMUP_SCHEMES[scheme].steps) {
+    const weight = percent == null ? settings.bar : plateLoad((topWeight * percent) / 100, settings).total
+    if (weight >= topWeight || (ramp.length && weight <= ramp[ramp.length - 1].weight)) continue
+    ramp.push({ weight, reps })
+  }
+  return ramp
+}
+
+// What db.replaceWarmups needs to (re)build an exercise's ramp: the top
+// set's target in kg at generation time (`basis`, compared later to spot a
+// changed target) and the warm-up set targets. No top target → no ramp.
+export function planWarmups(sets, scheme, settings) {
+  const top = rampTopSet(sets)
+  const basis = top ? setTargetWeightKg(top) : null
+  if (basis == null) return { basis: null, targets: [] }
+  const targets = warmupRamp(convertWeight(basis, 'kg', settings.unit), scheme, settings).map(({ weight, reps }) => ({
+    targetRepsMin: reps,
+    targetRepsMax: reps,
+    targetWeight: weight,
+    targetWeightUnit: settings.unit,
+    setType: 'warmup',
+    generatedWarmup: true,
+  }))
+  return { basis, targets }
+}
+
+// A generated ramp is out of date when the top set's target no longer
+// matches the one it was built from. Once any generated warm-up has been
+// completed the ramp is history and is left alone.
+export function warmupsStale(exercise, sets) {
+  if (!exercise.warmup) return false
+  if (sets.some((s) => s.generatedWarmup && s.completed)) return false
+  const top = rampTopSet(sets)
+  const basis = top ? setTargetWeightKg(top) : null
+  const previous = exercise.warmup.basis
+  if (basis == null || previous == null) return basis !== previous
+  return Math.abs(basis - previous) > 0.001
+}